@@ -4,176 +4,216 @@ import XLSX from "xlsx";
 import { isUri } from "valid-url";
 import pLimit from "p-limit";
 import puppeteer from "puppeteer";
-// import lighthouse from "lighthouse"; // DISABLED for better performance
 import analyzeKeywords from "./utils/keywordDensity.js";
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
 import async from "async";
-import xml2js from "xml2js";
-
-// Rate limiting and performance settings
+import { EventEmitter } from "events";
+import Bottleneck from "bottleneck";
+import {
+  DEFAULT_ROBOTS_USER_AGENT,
+  fetchRobotsTxt,
+  getBlockingRule,
+} from "./utils/robotsTxt.js";
+import { auditResponseHeaders, parseXRobotsTag } from "./utils/headerAudit.js";
+import {
+  resolveCanonical,
+  buildCanonicalAudit,
+} from "./utils/canonicalAudit.js";
+import {
+  extractHtmlHreflangs,
+  extractHeaderHreflangs,
+  buildHreflangAudit,
+} from "./utils/hreflangAudit.js";
+import { analyzeLinkGraph } from "./utils/linkGraph.js";
+import {
+  selectLighthouseSample,
+  runLighthouseStage,
+} from "./utils/lighthouseRunner.js";
+import { checkExternalLinks } from "./utils/externalLinks.js";
+import {
+  createResourceChecker,
+  groupBrokenResources,
+} from "./utils/resourceCheck.js";
+import { createImageInspector, auditImage } from "./utils/imageAudit.js";
+import {
+  observeWebVitals,
+  collectLabMetrics,
+  buildPerformanceRows,
+} from "./utils/labMetrics.js";
+import {
+  MOBILE_USER_AGENT,
+  emulateDevice,
+  extractParitySnapshot,
+  compareRenders,
+} from "./utils/deviceParity.js";
+import { fetchStaticPage, looksLikeAppShell } from "./utils/staticFetch.js";
+import {
+  extractRenderSnapshot,
+  compareRawAndRendered,
+} from "./utils/renderComparison.js";
+import {
+  captureScreenshot,
+  saveScreenshot,
+  screenshotDirFor,
+} from "./utils/screenshots.js";
+import { fetchSitemaps, buildSitemapUrlIssues } from "./utils/sitemapAudit.js";
+import { compileUrlPattern } from "./utils/urlPatterns.js";
+import {
+  collectSitemapPages,
+  buildSitemapFiles,
+} from "./utils/sitemapGenerator.js";
+import {
+  computeSimHash,
+  simHashSimilarity,
+  clusterSimHashes,
+} from "./utils/simhash.js";
+
+// Default rate limiting and performance settings, overridable per crawl
+// within the ceilings in utils/crawlOptions.js
 const MAX_PAGES = 2000; // Free tier limit
 const CONCURRENT_REQUESTS = 2; // Slightly increased for better performance
+const STATIC_CONCURRENT_REQUESTS = 6; // Without Chromium tabs, see renderMode
 const REQUEST_TIMEOUT = 20000; // 20 seconds
 const PUPPETEER_TIMEOUT = 50000; // 50 seconds, reduced to avoid slow pages blocking
 const RATE_LIMIT_DELAY = 80; // 80ms between requests, faster but still safe
-
-// Global state
-const visited = new Set();
-const workingLinks = [];
-const brokenLinks = [];
-const seoInsights = [];
-const imageAlts = [];
-const keywordStats = [];
-const externalLinks = [];
-const missingAnchorTexts = [];
-const accessibilityIssues = [];
-const metaTagAudit = [];
-const structuredData = [];
-const technicalSeo = [];
-const ogTags = [];
-const metaTags = [];
-const pagePerformanceMetrics = [];
-const webCoreVitals = [];
-const duplicateContentIssues = [];
-const contentHashes = new Map(); // url -> hash
-const brokenResources = [];
-const sitemapRobotsInfo = [];
-const missingSeoIssues = [];
-let pagesScanned = 0; // Track total pages scanned
+const DEEP_PAGE_THRESHOLD = 3; // Pages more clicks than this from the start URL are flagged
+const NEAR_DUPLICATE_DISTANCE = 6; // Max differing SimHash bits (~90% similar)
+const LIGHTHOUSE_SAMPLE_SIZE = 5; // Pages analysed when Lighthouse is enabled
+const IMAGE_LOAD_WAIT = 3000; // ms to let visible images load before measuring
 
 // Rate limiting
 const crawlLimit = pLimit(CONCURRENT_REQUESTS);
-let requestCount = 0;
-const startTime = Date.now();
-
-// Performance monitoring
-const performanceMetrics = {
-  startTime: Date.now(),
-  pagesCrawled: 0,
-  errors: 0,
-  averageResponseTime: 0,
-  totalResponseTime: 0,
+
+// Result lists that count as issues, with the category used in live events
+const ISSUE_LISTS = {
+  missingSeoIssues: "seo",
+  accessibilityIssues: "accessibility",
+  duplicateContentIssues: "duplicate-content",
+  brokenResources: "broken-resource",
 };
 
-// Lighthouse configuration - DISABLED for better performance
-/*
-const lighthouseConfig = {
-  extends: "lighthouse:default",
-  settings: {
-    onlyCategories: ["seo"], // Only SEO category to reduce memory usage
-    formFactor: "desktop",
-    throttling: {
-      rttMs: 40,
-      throughputKbps: 10240,
-      cpuSlowdownMultiplier: 1,
-      requestLatencyMs: 0,
-      downloadThroughputKbps: 0,
-      uploadThroughputKbps: 0,
+// Per-crawl state. Every runCrawl() call gets its own session so overlapping
+// crawls never share a queue, results or metrics.
+export function createCrawlSession(targetUrl, crawlOptions = {}) {
+  const options = {
+    maxPages: MAX_PAGES,
+    maxDepth: null, // Link hops from the start URL or a sitemap URL, null = no limit
+    concurrency:
+      crawlOptions.renderMode === "static"
+        ? STATIC_CONCURRENT_REQUESTS
+        : CONCURRENT_REQUESTS,
+    requestDelay: RATE_LIMIT_DELAY,
+    requestTimeout: REQUEST_TIMEOUT,
+    pageTimeout: PUPPETEER_TIMEOUT,
+    include: [], // URL patterns, when set only matching URLs are crawled
+    exclude: [], // URL patterns that are never crawled
+    followSitemaps: true,
+    deepPageThreshold: DEEP_PAGE_THRESHOLD,
+    robotsUserAgent: DEFAULT_ROBOTS_USER_AGENT,
+    ignoreRobotsTxt: false, // Audit mode, e.g. for a blocked staging site
+    sitemapImages: false, // Add <image:image> entries to the generated sitemap
+    sitemapLastmod: true, // Add <lastmod> from Last-Modified headers
+    lighthouse: false, // Run Lighthouse on a sample of pages after the crawl
+    lighthouseSampleSize: LIGHTHOUSE_SAMPLE_SIZE,
+    // "desktop", "mobile" (smartphone viewport and UA) or "both", which also
+    // renders every page on desktop for the Mobile vs Desktop sheet
+    device: "desktop",
+    // "browser" renders every page in Chromium, "static" only fetches the
+    // HTML, "auto" fetches first and renders app shells in Chromium
+    renderMode: "browser",
+    // Above-the-fold screenshot of every page rendered in the browser, in
+    // the device it was rendered as (both devices with device "both")
+    screenshots: true,
+    ...crawlOptions,
+  };
+  const base = targetUrl.endsWith("/") ? targetUrl : targetUrl + "/";
+  // Emits page-crawled, page-failed and issue-found as the crawl progresses
+  const events = new EventEmitter();
+  events.setMaxListeners(50); // One set of listeners per SSE client
+
+  return {
+    targetUrl,
+    options,
+    // Compiled include/exclude patterns, see isUrlInScope()
+    urlFilters: {
+      include: options.include.map(compileUrlPattern),
+      exclude: options.exclude.map(compileUrlPattern),
     },
-    screenEmulation: {
-      mobile: false,
-      width: 1350,
-      height: 940,
-      deviceScaleFactor: 1,
-      disabled: false,
+    base,
+    // Also keep the origin for better link matching
+    baseDomain: new URL(targetUrl).origin,
+    visited: new Set(),
+    depths: new Map(), // url -> link hops from the start URL or a sitemap
+    sitemapAlternates: [], // hreflang annotations found in sitemaps
+    sitemapUrls: new Set(), // Every URL listed in the sitemaps
+    sitemapEntries: [], // <url> entries with lastmod/changefreq/priority
+    linkGraph: new Map(), // page url -> internal urls it links to
+    queue: [], // Frontier of discovered URLs waiting to be scheduled
+    pending: new Set(), // Pushed to the scheduler but not started yet
+    inFlight: new Set(), // Pages currently being crawled
+    scheduler: null, // async.queue running the crawl, set by runCrawl()
+    stopWaiting: null, // Resolves runCrawl()'s wait for the queue to drain
+    paused: false,
+    cancelled: false,
+    discoveryDone: false, // robots.txt and sitemaps read, sitemap URLs queued
+    robotsTxt: null, // Parsed robots.txt, loaded by runCrawl()
+    screenshotDir: null, // Set by runCrawl(), moved next to the report
+    // Spaces out page requests; slowed down further by robots.txt Crawl-delay
+    limiter: new Bottleneck({ minTime: options.requestDelay }),
+    // Cached image/script/stylesheet checks, shared by every page
+    checkResource: createResourceChecker({ timeout: 5000 }),
+    // Downloads each image once for the Image Optimization sheet
+    inspectImage: createImageInspector(),
+    events,
+    contentHashes: new Map(), // hash -> url
+    simHashes: new Map(), // url -> SimHash of the main content
+    pagesScanned: 0, // Track total pages scanned
+    performanceMetrics: {
+      startTime: Date.now(),
+      pagesCrawled: 0,
+      errors: 0,
+      averageResponseTime: 0,
+      totalResponseTime: 0,
     },
-    emulatedUserAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-    // Memory optimization settings
-    maxWaitForLoad: 30000, // 30 seconds max wait
-    skipAudits: [
-      // Skip non-SEO audits to reduce processing time
-      "uses-http2",
-      "uses-long-cache-ttl",
-      "efficient-animated-content",
-      "unused-css-rules",
-      "unused-javascript",
-      "modern-image-formats",
-      "uses-optimized-images",
-      "uses-text-compression",
-      "uses-responsive-images",
-      "unminified-css",
-      "unminified-javascript",
-      "unused-css-rules",
-      "render-blocking-resources",
-      "uses-rel-preload",
-      "uses-rel-preconnect",
-      "font-display",
-      "resource-hints",
-      "uses-passive-event-listeners",
-      "no-document-write",
-      "external-anchors-use-rel-noopener",
-      "geolocation-on-start",
-      "no-vulnerable-libraries",
-      "js-libraries",
-      "notification-on-start",
-      "password-inputs-can-be-pasted-into",
-      "image-aspect-ratio",
-      "image-size-responsive",
-      "preload-fonts",
-      "deprecations",
-      "errors-in-console",
-      "image-alt",
-      "label",
-      "link-name",
-      "list",
-      "listitem",
-      "button-name",
-      "frame-title",
-      "input-image-alt",
-      "object-alt",
-      "video-caption",
-      "aria-allowed-attr",
-      "aria-hidden-body",
-      "aria-hidden-focus",
-      "aria-input-field-name",
-      "aria-required-attr",
-      "aria-required-children",
-      "aria-required-parent",
-      "aria-roles",
-      "aria-valid-attr-value",
-      "aria-valid-attr",
-      "duplicate-id-active",
-      "duplicate-id-aria",
-      "form-field-multiple-labels",
-      "heading-order",
-      "html-has-lang",
-      "html-lang-valid",
-      "landmark-one-main",
-      "meta-refresh",
-      "meta-viewport",
-      "tabindex",
-      "td-headers-attr",
-      "th-has-data-cells",
-      "valid-lang",
-      "bypass",
-      "color-contrast",
-      "focus-traps",
-      "focusable-controls",
-      "interactive-element-affordance",
-      "logical-tab-order",
-      "managed-focus",
-      "offscreen-content-hidden",
-      "use-landmarks",
-      "visual-order-follows-dom",
-      "custom-controls-labels",
-      "custom-controls-roles",
-      "focusable-elements",
-      "heading-levels",
-      "link-text",
-      "list-structure",
-      "page-has-heading-one",
-      "skip-link",
-      "tabindex",
-      "target-size",
-      "text-spacing",
-      "valid-lang",
-    ],
-  },
-};
-*/
+    results: {
+      workingLinks: [],
+      brokenLinks: [],
+      seoInsights: [],
+      metaTagAudit: [],
+      imageAlts: [],
+      imageOptimization: [],
+      mobileParity: [],
+      javascriptRendering: [],
+      missingAnchorTexts: [],
+      accessibilityIssues: [],
+      keywordStats: [],
+      externalLinks: [],
+      externalLinkSources: [],
+      structuredData: [],
+      technicalSeo: [],
+      ogTags: [],
+      metaTags: [],
+      pagePerformanceMetrics: [],
+      webCoreVitals: [],
+      duplicateContentIssues: [],
+      brokenResources: [],
+      brokenResourcePages: [],
+      sitemapRobotsInfo: [],
+      missingSeoIssues: [],
+      robotsBlocked: [],
+      redirects: [],
+      responseHeaders: [],
+      indexability: [],
+      canonicals: [],
+      hreflang: [],
+      linkGraph: [],
+      sitemapUrlIssues: [],
+      screenshots: [],
+    },
+  };
+}
 
 function autoFitColumns(data) {
   const cols = Object.keys(data[0] || {});
@@ -290,7 +330,8 @@ function extractLinks($, currentUrl, base) {
     let fullHref = href;
     if (!href.startsWith("http")) {
       try {
-        fullHref = new URL(href, base).href;
+        // Relative links resolve against the page they are on
+        fullHref = new URL(href, currentUrl).href;
       } catch (e) {
         return; // Skip invalid URLs
       }
@@ -316,82 +357,339 @@ function extractLinks($, currentUrl, base) {
   return { links, internalLinks, externalLinks };
 }
 
-// Helper to fetch and parse sitemap URLs (handles nested sitemaps)
-async function getSitemapUrls(sitemapUrl, seen = new Set()) {
-  if (seen.has(sitemapUrl)) return [];
-  seen.add(sitemapUrl);
+// Text of the page's main content, without navigation, header, footer and
+// other boilerplate shared across the site
+function extractMainText($) {
+  const root = $("main").length
+    ? $("main").first()
+    : $("article").length
+    ? $("article").first()
+    : $("body");
+  const content = root.clone();
+  content
+    .find("script, style, noscript, template, nav, header, footer, aside")
+    .remove();
+  return content.text().replace(/\s+/g, " ").trim();
+}
+
+// Rebuild the Duplicate Content rows as similarity clusters, one row per
+// page with the cluster it belongs to and its most similar page
+function buildDuplicateClusters(session) {
+  const { simHashes } = session;
+  // Equal SimHashes don't mean equal text, so only pages whose SHA-256
+  // content hash matched while crawling are exact duplicates. Each maps to
+  // the first page seen with that content.
+  const exactOf = new Map(
+    session.results.duplicateContentIssues
+      .filter((row) => row.issue === "Duplicate content detected")
+      .map((row) => [row.url, row.duplicateOf])
+  );
+  const contentOf = (url) => exactOf.get(url) ?? url;
+
+  return clusterSimHashes(simHashes, NEAR_DUPLICATE_DISTANCE)
+    .sort((a, b) => b.length - a.length)
+    .flatMap((urls, index) =>
+      urls.map((url) => {
+        const others = urls.filter((other) => other !== url);
+        const exact = others.find(
+          (other) => contentOf(other) === contentOf(url)
+        );
+        if (exact) {
+          return {
+            cluster: index + 1,
+            clusterSize: urls.length,
+            url,
+            duplicateOf: exact,
+            similarity: "100%",
+            issue: "Duplicate content detected",
+          };
+        }
+
+        const [closest] = others
+          .map((other) => ({
+            url: other,
+            similarity: simHashSimilarity(
+              simHashes.get(url),
+              simHashes.get(other)
+            ),
+          }))
+          .sort((a, b) => b.similarity - a.similarity);
+        return {
+          cluster: index + 1,
+          clusterSize: urls.length,
+          url,
+          duplicateOf: closest.url,
+          similarity: `${closest.similarity}%`,
+          issue: "Near-duplicate content detected",
+        };
+      })
+    );
+}
+
+async function recordScreenshot(session, url, device, image) {
+  const row = await saveScreenshot(session.screenshotDir, url, device, image);
+  if (row) session.results.screenshots.push(row);
+}
+
+// In "both" mode the page is rendered a second time on desktop, in its own
+// tab. Returns null if the desktop render failed, the page is then left out
+// of the comparison rather than reported as a mismatch.
+async function renderDesktopSnapshot(session, browser, url, isInternal) {
+  let page = null;
   try {
-    const res = await axios.get(sitemapUrl, { timeout: 15000 });
-    const parsed = await xml2js.parseStringPromise(res.data);
-    let urls = [];
-    if (parsed.urlset && parsed.urlset.url) {
-      urls = parsed.urlset.url.map((u) => u.loc[0]);
-    } else if (parsed.sitemapindex && parsed.sitemapindex.sitemap) {
-      for (const sm of parsed.sitemapindex.sitemap) {
-        const subUrls = await getSitemapUrls(sm.loc[0], seen);
-        urls = urls.concat(subUrls);
-      }
+    await session.limiter.schedule(async () => {});
+    page = await browser.newPage();
+    await emulateDevice(page, "desktop");
+    await page.goto(url, {
+      timeout: session.options.pageTimeout,
+      waitUntil: "domcontentloaded",
+    });
+    const $ = cheerio.load(await page.content());
+    if (session.options.screenshots) {
+      await recordScreenshot(
+        session,
+        url,
+        "desktop",
+        await captureScreenshot(page)
+      );
+    }
+    return extractParitySnapshot($, url, isInternal);
+  } catch (err) {
+    console.log(`⚠️ Desktop render failed for ${url}: ${err.message}`);
+    return null;
+  } finally {
+    if (page) {
+      try {
+        await page.close();
+      } catch {}
     }
-    return urls;
-  } catch (e) {
-    return [];
   }
 }
 
-async function crawlPage(
-  currentUrl,
-  queue,
-  base,
-  mainPageUrl,
-  baseDomain,
-  browser
-) {
+// Render a page in its own Chromium tab. Besides the rendered HTML this
+// returns the raw server HTML, rendered image sizes and lab metrics.
+async function loadWithBrowser(session, browser, url) {
+  const page = await browser.newPage();
+  try {
+    // "both" crawls mobile-first and renders desktop separately
+    await emulateDevice(
+      page,
+      session.options.device === "desktop" ? "desktop" : "mobile"
+    );
+    await page.evaluateOnNewDocument(observeWebVitals);
+    const response = await page.goto(url, {
+      timeout: session.options.pageTimeout,
+      waitUntil: "domcontentloaded",
+    });
+    const loaded = {
+      mode: "Browser",
+      status: response.status(),
+      headers: response.headers(),
+      url: response.url(),
+      redirectHops: response
+        .request()
+        .redirectChain()
+        .map((request) => ({
+          url: request.url(),
+          status: request.response()?.status() ?? "",
+        })),
+    };
+    if (loaded.redirectHops.length > 0 || loaded.status >= 400) return loaded;
+
+    // The document as the server sent it, before any JavaScript ran
+    loaded.rawHtml = await response.text().catch(() => null);
+
+    // Rendered size and position of every <img> by its src attribute, once
+    // the eagerly loaded images had a moment to load
+    loaded.renderedImages = await page
+      .evaluate(async (wait) => {
+        const pending = [...document.images]
+          .filter((img) => !img.complete && img.loading !== "lazy")
+          .map(
+            (img) =>
+              new Promise((resolve) => {
+                img.addEventListener("load", resolve);
+                img.addEventListener("error", resolve);
+              })
+          );
+        await Promise.race([
+          Promise.all(pending),
+          new Promise((resolve) => setTimeout(resolve, wait)),
+        ]);
+        return [...document.querySelectorAll("img")].map((img) => {
+          const rect = img.getBoundingClientRect();
+          return {
+            src: img.getAttribute("src"),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+            aboveFold: rect.top < window.innerHeight && rect.bottom > 0,
+          };
+        });
+      }, IMAGE_LOAD_WAIT)
+      .catch(() => []);
+    // Captured after the image wait, so it has the images measured above
+    loaded.html = await page.content();
+    loaded.labMetrics = await collectLabMetrics(page);
+    if (session.options.screenshots) {
+      loaded.screenshot = await captureScreenshot(page);
+    }
+    return loaded;
+  } finally {
+    try {
+      await page.close();
+    } catch {}
+  }
+}
+
+// Load a page the way the render mode asks: always in Chromium ("browser"),
+// never ("static"), or only when its static HTML is an app shell ("auto")
+async function loadPage(session, browser, url) {
+  const { renderMode, device, pageTimeout } = session.options;
+  if (renderMode === "browser") return loadWithBrowser(session, browser, url);
+
+  const loaded = await fetchStaticPage(url, {
+    timeout: pageTimeout,
+    userAgent: device === "desktop" ? undefined : MOBILE_USER_AGENT,
+  });
+  if (
+    renderMode === "auto" &&
+    loaded.redirectHops.length === 0 &&
+    loaded.status < 400 &&
+    looksLikeAppShell(loaded.html)
+  ) {
+    return {
+      ...(await loadWithBrowser(session, browser, url)),
+      mode: "Browser (app shell)",
+    };
+  }
+  return loaded;
+}
+
+async function crawlPage(session, currentUrl, browser) {
+  const {
+    base,
+    baseDomain,
+    visited,
+    queue,
+    contentHashes,
+    performanceMetrics,
+  } = session;
+  const {
+    workingLinks,
+    brokenLinks,
+    seoInsights,
+    metaTagAudit,
+    imageAlts,
+    imageOptimization,
+    mobileParity,
+    javascriptRendering,
+    missingAnchorTexts,
+    keywordStats,
+    externalLinks,
+    structuredData,
+    technicalSeo,
+    ogTags,
+    metaTags,
+    pagePerformanceMetrics,
+    webCoreVitals,
+  } = session.results;
+  // Issues found on this page are collected here and added to the shared
+  // lists when the page is done, so each one is streamed exactly once
+  const pageIssues = Object.fromEntries(
+    Object.keys(ISSUE_LISTS).map((key) => [key, []])
+  );
+  const {
+    duplicateContentIssues,
+    accessibilityIssues,
+    brokenResources,
+    missingSeoIssues,
+  } = pageIssues;
+
+  const { maxPages, maxDepth } = session.options;
   currentUrl = normalizeUrl(currentUrl);
-  if (visited.has(currentUrl) || visited.size >= MAX_PAGES) return;
+  if (visited.has(currentUrl) || visited.size >= maxPages) return;
 
   visited.add(currentUrl);
-  pagesScanned++; // Increment pages scanned counter
+  session.inFlight.add(currentUrl);
+  session.pagesScanned++; // Increment pages scanned counter
   performanceMetrics.pagesCrawled++;
 
-  console.log(`🌐 Crawling: ${currentUrl} (${visited.size}/${MAX_PAGES})`);
+  console.log(`🌐 Crawling: ${currentUrl} (${visited.size}/${maxPages})`);
 
   const pageStartTime = Date.now();
+  let httpStatus = null;
   let html = "";
+  let rawHtml = null;
   let $;
-  let page = null;
 
   try {
-    // Rate limiting
-    await new Promise((resolve) => setTimeout(resolve, RATE_LIMIT_DELAY));
+    // Rate limiting (shared across workers so Crawl-delay holds overall)
+    await session.limiter.schedule(async () => {});
+
+    const loaded = await loadPage(session, browser, currentUrl);
+    httpStatus = loaded.status;
+    const responseHeaders = loaded.headers;
+    const finalUrl = normalizeUrl(loaded.url);
+    const { redirectHops, renderedImages = [], labMetrics = null } = loaded;
+    const renderedInBrowser = loaded.mode !== "Static";
+
+    // A redirected URL is reported as such and its target is crawled on its
+    // own, so the target's content isn't attributed to this URL
+    if (redirectHops.length > 0) {
+      recordRedirect(session, currentUrl, redirectHops, finalUrl, httpStatus);
+      recordIndexability(session, currentUrl, redirectHops[0].status, {
+        redirectedTo: finalUrl,
+      });
+      if (finalUrl.startsWith(base) || finalUrl.startsWith(baseDomain)) {
+        queueUrl(
+          session,
+          finalUrl,
+          currentUrl,
+          session.depths.get(currentUrl) ?? 0
+        );
+      }
+      session.events.emit("page-crawled", {
+        url: currentUrl,
+        status: redirectHops[0].status,
+        redirectedTo: finalUrl,
+        responseTime: Date.now() - pageStartTime,
+        counters: getCrawlProgress(session),
+      });
+      return;
+    }
 
-    // Reuse the provided browser instance
-    page = await browser.newPage();
-    await page.goto(currentUrl, {
-      timeout: PUPPETEER_TIMEOUT,
-      waitUntil: "domcontentloaded",
-    });
-    html = await page.content();
+    // Error pages still render HTML, but they are broken, not working links
+    if (httpStatus >= 400) {
+      throw new Error(`HTTP ${httpStatus}`);
+    }
+
+    html = loaded.html;
     $ = cheerio.load(html);
-    await page.close();
+    rawHtml = loaded.rawHtml ?? null;
+    await recordScreenshot(
+      session,
+      currentUrl,
+      session.options.device === "desktop" ? "desktop" : "mobile",
+      loaded.screenshot
+    );
 
     // --- Duplicate Content Detection ---
     const mainText = $("body").text().replace(/\s+/g, " ").trim().toLowerCase();
     const hash = crypto.createHash("sha256").update(mainText).digest("hex");
+    // Only the fingerprint is kept, never the page text
+    const simHash = computeSimHash(extractMainText($));
     if (contentHashes.has(hash)) {
       duplicateContentIssues.push({
         url: currentUrl,
         duplicateOf: contentHashes.get(hash),
+        similarity: "100%",
         issue: "Duplicate content detected",
       });
     } else {
-      // Check for near-duplicates (simple Jaccard similarity)
-      let foundNear = false;
-      for (const [prevHash, prevUrl] of contentHashes.entries()) {
-        const prevText = prevHash; // Not storing text for memory, so skip for now
-        // For advanced: store text, compute similarity
-      }
       contentHashes.set(hash, currentUrl);
     }
+    // Near-duplicates are found by clustering the SimHashes after the crawl
+    session.simHashes.set(currentUrl, simHash);
     // --- Enhanced Accessibility & SEO Audits ---
     // Accessibility: missing alt, missing labels, heading structure
     $("input, textarea, select").each((_, el) => {
@@ -502,6 +800,7 @@ async function crawlPage(
       .filter((item) => item.href && item.href.trim());
 
     // Process links
+    const linkDepth = (session.depths.get(currentUrl) ?? 0) + 1;
     links.forEach(({ href, text }) => {
       const cleaned = href.split("#")[0].trim();
       if (
@@ -518,24 +817,20 @@ async function crawlPage(
       let fullHref = cleaned;
       if (!cleaned.startsWith("http")) {
         try {
-          fullHref = new URL(cleaned, base).href;
+          fullHref = new URL(cleaned, currentUrl).href;
         } catch (e) {
           return;
         }
       }
 
-      // Process internal links
+      // Process internal links, external ones are collected by extractLinks()
       if (fullHref.startsWith(base) || fullHref.startsWith(baseDomain)) {
-        if (visited.size < MAX_PAGES) {
-          if (!visited.has(fullHref) && !queue.includes(fullHref)) {
-            queue.push(fullHref);
-          }
+        if (
+          visited.size < maxPages &&
+          (maxDepth === null || linkDepth <= maxDepth)
+        ) {
+          queueUrl(session, fullHref, currentUrl, linkDepth);
         }
-      } else if (
-        !fullHref.startsWith(base) &&
-        !fullHref.startsWith(baseDomain)
-      ) {
-        externalLinks.push({ from: currentUrl, to: fullHref });
       }
     });
 
@@ -605,10 +900,59 @@ async function crawlPage(
       canonical: canonical,
     });
 
+    const headerAudit = auditResponseHeaders(
+      currentUrl,
+      responseHeaders,
+      canonical
+    );
+    session.results.responseHeaders.push(headerAudit);
+
+    // Canonicals are analysed across the whole crawl once it ends, see
+    // buildCanonicalAudit()
+    const canonicalUrl = resolveCanonical(canonical, currentUrl);
+    session.results.canonicals.push({
+      url: currentUrl,
+      canonical: canonicalUrl,
+      canonicalTags: $('link[rel="canonical"]')
+        .map((_, el) => resolveCanonical($(el).attr("href"), currentUrl))
+        .get()
+        .filter(Boolean)
+        .join(" | "),
+      headerCanonical: resolveCanonical(headerAudit.linkCanonical, currentUrl),
+    });
+
+    // Hreflang annotations, validated across the crawl by buildHreflangAudit()
+    const alternates = [
+      ...extractHtmlHreflangs($, currentUrl),
+      ...extractHeaderHreflangs(responseHeaders.link, currentUrl),
+    ];
+    alternates.forEach((alternate) =>
+      session.results.hreflang.push({ url: currentUrl, ...alternate })
+    );
+
+    // Crawl internal canonical and hreflang targets so their status is known
+    [canonicalUrl, ...alternates.map((alternate) => alternate.href)]
+      .filter(
+        (url) =>
+          url &&
+          (url.startsWith(base) || url.startsWith(baseDomain)) &&
+          visited.size < maxPages &&
+          (maxDepth === null || linkDepth <= maxDepth)
+      )
+      .forEach((url) => queueUrl(session, url, currentUrl, linkDepth));
+    recordIndexability(session, currentUrl, httpStatus, {
+      metaRobots: [robots, $('meta[name="googlebot"]').attr("content")]
+        .filter(Boolean)
+        .join(", "),
+      xRobotsTag: responseHeaders["x-robots-tag"],
+      canonical,
+    });
+
     technicalSeo.push({
       url: currentUrl,
       httpRedirect: currentUrl.startsWith("https") ? "Yes" : "No",
-      canonicalMismatch: canonical && canonical !== currentUrl ? "Yes" : "No",
+      canonicalMismatch:
+        canonicalUrl && canonicalUrl !== currentUrl ? "Yes" : "No",
       hTagStructure: $("h1, h2, h3, h4, h5, h6")
         .map((_, el) => el.tagName)
         .get()
@@ -626,6 +970,7 @@ async function crawlPage(
           ? "Yes"
           : "No",
       noindexNofollow: robots,
+      xRobotsTag: headerAudit.xRobotsTag,
       viewportMeta: viewport,
       lazyImages: $('img[loading="lazy"]').length,
       hasStructuredData: $('script[type="application/ld+json"]').length > 0,
@@ -635,6 +980,13 @@ async function crawlPage(
     });
 
     // Image analysis
+    const pageImages = []; // For the Image Optimization audit below
+    // Rendered sizes by src, in document order for images used twice
+    const renderedBySrc = new Map();
+    renderedImages.forEach((image) => {
+      if (!renderedBySrc.has(image.src)) renderedBySrc.set(image.src, []);
+      renderedBySrc.get(image.src).push(image);
+    });
     $("img").each((_, img) => {
       const src = $(img).attr("src");
       const alt = $(img).attr("alt") || "";
@@ -654,6 +1006,16 @@ async function crawlPage(
         hasAlt: alt.length > 0,
         hasTitle: title.length > 0,
       });
+      try {
+        const imageUrl = new URL(src.trim(), currentUrl);
+        if (["http:", "https:"].includes(imageUrl.protocol)) {
+          pageImages.push({
+            src: imageUrl.href,
+            attrs: { loading, width, height },
+            rendered: renderedBySrc.get(src)?.shift(),
+          });
+        }
+      } catch {}
 
       if (!alt) {
         accessibilityIssues.push({
@@ -671,6 +1033,9 @@ async function crawlPage(
       externalLinks: pageExternalLinks,
     } = extractLinks($, currentUrl, base);
     externalLinks.push(...pageExternalLinks);
+    session.linkGraph.set(currentUrl, [
+      ...new Set(internalLinks.map(normalizeUrl)),
+    ]);
 
     $("a").each((_, a) => {
       const text = $(a).text().trim();
@@ -720,74 +1085,76 @@ async function crawlPage(
     );
 
     // --- Broken Resource Detection ---
-    // Images
-    const resourceChecks = [];
-    $("img").each((_, img) => {
-      const src = $(img).attr("src");
-      if (src) {
-        let fullSrc = src;
-        if (!src.startsWith("http")) {
-          try {
-            fullSrc = new URL(src, currentUrl).href;
-          } catch {}
-        }
-        resourceChecks.push(
-          axios.head(fullSrc, { timeout: 5000 }).catch((err) => {
-            brokenResources.push({
-              url: currentUrl,
-              resource: fullSrc,
-              type: "image",
-              status: err.response?.status || err.code || "error",
-            });
-          })
-        );
-      }
+    // Each resource is checked once per crawl, see utils/resourceCheck.js
+    const resources = new Map(); // url -> type
+    [
+      ["img[src]", "src", "image"],
+      ["script[src]", "src", "script"],
+      ["link[rel='stylesheet'][href]", "href", "css"],
+    ].forEach(([selector, attr, type]) => {
+      $(selector).each((_, el) => {
+        try {
+          const resource = new URL($(el).attr(attr).trim(), currentUrl);
+          if (["http:", "https:"].includes(resource.protocol)) {
+            resources.set(resource.href, type);
+          }
+        } catch {}
+      });
     });
-    // Scripts
-    $("script[src]").each((_, script) => {
-      const src = $(script).attr("src");
-      if (src) {
-        let fullSrc = src;
-        if (!src.startsWith("http")) {
-          try {
-            fullSrc = new URL(src, currentUrl).href;
-          } catch {}
+    await Promise.all(
+      [...resources].map(async ([resource, type]) => {
+        // Images are downloaded anyway for the image audit
+        const check =
+          type === "image" ? session.inspectImage : session.checkResource;
+        const { status, broken } = await check(resource);
+        if (broken) {
+          brokenResources.push({ url: currentUrl, resource, type, status });
         }
-        resourceChecks.push(
-          axios.head(fullSrc, { timeout: 5000 }).catch((err) => {
-            brokenResources.push({
-              url: currentUrl,
-              resource: fullSrc,
-              type: "script",
-              status: err.response?.status || err.code || "error",
-            });
-          })
+      })
+    );
+
+    // --- Image Optimization ---
+    for (const { src, attrs, rendered } of pageImages) {
+      const image = await session.inspectImage(src);
+      if (!image.broken) {
+        imageOptimization.push(
+          auditImage({ page: currentUrl, src, attrs, rendered, image })
         );
       }
-    });
-    // CSS
-    $("link[rel='stylesheet']").each((_, link) => {
-      const href = $(link).attr("href");
-      if (href) {
-        let fullHref = href;
-        if (!href.startsWith("http")) {
-          try {
-            fullHref = new URL(href, currentUrl).href;
-          } catch {}
-        }
-        resourceChecks.push(
-          axios.head(fullHref, { timeout: 5000 }).catch((err) => {
-            brokenResources.push({
-              url: currentUrl,
-              resource: fullHref,
-              type: "css",
-              status: err.response?.status || err.code || "error",
-            });
-          })
+    }
+
+    const isInternal = (url) =>
+      url.startsWith(base) || url.startsWith(baseDomain);
+
+    // --- JavaScript Rendering ---
+    if (rawHtml !== null) {
+      javascriptRendering.push(
+        compareRawAndRendered(
+          currentUrl,
+          extractRenderSnapshot(cheerio.load(rawHtml), currentUrl, isInternal),
+          extractRenderSnapshot($, currentUrl, isInternal)
+        )
+      );
+    }
+
+    // --- Mobile vs Desktop ---
+    if (session.options.device === "both" && renderedInBrowser) {
+      const desktop = await renderDesktopSnapshot(
+        session,
+        browser,
+        currentUrl,
+        isInternal
+      );
+      if (desktop) {
+        mobileParity.push(
+          compareRenders(
+            currentUrl,
+            extractParitySnapshot($, currentUrl, isInternal),
+            desktop
+          )
         );
       }
-    });
-    await Promise.all(resourceChecks);
+    }
 
     // Update performance metrics
     const pageEndTime = Date.now();
@@ -796,227 +1163,146 @@ async function crawlPage(
     performanceMetrics.averageResponseTime =
       performanceMetrics.totalResponseTime / performanceMetrics.pagesCrawled;
 
-    // Lighthouse analysis disabled for better performance and reliability
-    // Only run Lighthouse for the main page
-    /*
-    if (currentUrl === mainPageUrl) {
-      console.log(`🔍 Running Lighthouse analysis for ${currentUrl}...`);
-      const lighthouseResults = await runLighthouseAnalysis(currentUrl);
-      pagePerformanceMetrics.push(lighthouseResults);
-      webCoreVitals.push({
-        url: currentUrl,
-        lcp: lighthouseResults.lcp,
-        fid: lighthouseResults.fid,
-        cls: lighthouseResults.cls,
-        ttfb: lighthouseResults.ttfb,
-        lcpStatus: lighthouseResults.lcpStatus,
-        fidStatus: lighthouseResults.fidStatus,
-        clsStatus: lighthouseResults.clsStatus,
-        ttfbStatus: lighthouseResults.ttfbStatus,
-      });
+    // Lab metrics measured in the crawl's own browser tab
+    if (labMetrics) {
+      const { performance, vitals } = buildPerformanceRows(
+        currentUrl,
+        labMetrics
+      );
+      pagePerformanceMetrics.push(performance);
+      webCoreVitals.push(vitals);
     }
-    */
 
     // Mark as working link
-    workingLinks.push({ url: currentUrl, status: 200 });
+    workingLinks.push({
+      url: currentUrl,
+      status: httpStatus,
+      renderMode: loaded.mode,
+    });
+    session.events.emit("page-crawled", {
+      url: currentUrl,
+      status: httpStatus,
+      responseTime: pageResponseTime,
+      counters: getCrawlProgress(session),
+    });
 
     // Aggressively clear memory for large arrays/objects
     html = null;
+    rawHtml = null;
     $ = null;
     if (global.gc) global.gc(); // If running with --expose-gc
   } catch (err) {
-    if (page) {
+    // Puppeteer gives up on redirect loops without a response, so trace the
+    // hops by hand to show where the loop is
+    if (err.message.includes("ERR_TOO_MANY_REDIRECTS")) {
       try {
-        await page.close();
+        const hops = await traceRedirects(
+          currentUrl,
+          session.options.requestTimeout
+        );
+        const last = hops[hops.length - 1];
+        recordRedirect(
+          session,
+          currentUrl,
+          hops.slice(0, -1),
+          last.url,
+          last.status
+        );
       } catch {}
     }
-    brokenLinks.push({ url: currentUrl, status: err.message });
-  }
-}
-
-// Function to run Lighthouse analysis - DISABLED for better performance
-/*
-async function runLighthouseAnalysis(url) {
-  try {
-    const { launch } = await import("chrome-launcher");
-
-    // Try to find Chrome executable for Lighthouse (cross-platform)
-    let chromePath = null;
-    const possiblePaths = [
-      process.env.CHROME_PATH,
-      "/usr/bin/google-chrome-stable", // Docker Chrome path
-      "/usr/bin/google-chrome",
-      "/usr/bin/chromium-browser",
-      "/usr/bin/chromium",
-      "/opt/google/chrome/chrome",
-      "/opt/google/chrome/chrome-linux/chrome",
-    ];
+    brokenLinks.push({ url: currentUrl, status: httpStatus || err.message });
+    recordIndexability(session, currentUrl, httpStatus || "", {
+      error: httpStatus ? `HTTP ${httpStatus}` : err.message,
+    });
+    session.events.emit("page-failed", {
+      url: currentUrl,
+      status: httpStatus,
+      error: err.message,
+      counters: getCrawlProgress(session),
+    });
+  } finally {
+    session.inFlight.delete(currentUrl);
 
-    // Add Windows Chrome paths for localhost
-    if (process.platform === "win32") {
-      possiblePaths.push(
-        "C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe",
-        "C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe",
-        process.env.LOCALAPPDATA + "\\Google\\Chrome\\Application\\chrome.exe"
-      );
+    for (const [key, category] of Object.entries(ISSUE_LISTS)) {
+      session.results[key].push(...pageIssues[key]);
+      pageIssues[key].forEach((issue) => {
+        session.events.emit("issue-found", {
+          url: currentUrl,
+          category,
+          issue,
+          counters: getCrawlProgress(session),
+        });
+      });
     }
+  }
+}
 
-    for (const path of possiblePaths) {
-      if (path && fs.existsSync(path)) {
-        chromePath = path;
-        console.log(`Lighthouse using Chrome at: ${path}`);
-        break;
-      }
+// Follow redirects one hop at a time without a browser. Stops at the first
+// non-redirect response or when a URL repeats (a loop), whose repeated URL
+// is then the last hop.
+async function traceRedirects(url, timeout, maxHops = 10) {
+  const hops = [];
+  let current = url;
+  while (hops.length < maxHops) {
+    if (hops.some((hop) => hop.url === current)) {
+      hops.push({ url: current, status: "Redirect loop" });
+      break;
     }
-
-    const chrome = await launch({
-      chromeFlags: [
-        "--headless",
-        "--no-sandbox",
-        "--disable-gpu",
-        "--disable-dev-shm-usage", // Reduce memory usage
-        "--disable-extensions",
-        "--disable-plugins",
-        "--disable-images", // Skip images for SEO-only analysis
-        "--disable-javascript", // Skip JS for faster processing
-        "--disable-css", // Skip CSS for faster processing
-        "--memory-pressure-off", // Reduce memory pressure
-        "--max_old_space_size=256", // Limit memory usage
-      ],
-      chromePath: chromePath,
+    const res = await axios.get(current, {
+      maxRedirects: 0,
+      validateStatus: null,
+      responseType: "stream",
+      timeout,
     });
+    res.data.destroy();
+    hops.push({ url: current, status: res.status });
+    if (res.status < 300 || res.status >= 400 || !res.headers.location) break;
+    current = new URL(res.headers.location, current).href;
+  }
+  return hops;
+}
 
-    const options = {
-      logLevel: "error", // Reduce logging for memory
-      output: "json",
-      port: chrome.port,
-      ...lighthouseConfig,
-    };
-
-    console.log(`🔍 Running Lighthouse SEO analysis for ${url}...`);
-    const runnerResult = await lighthouse(url, options);
-    const reportResults = runnerResult.lhr;
-
-    await chrome.kill();
-
-    // Extract only SEO score and related data
-    const seoScore = Math.round(reportResults.categories.seo.score * 100);
-
-    // Extract SEO-specific audit results
-    const seoAudits = {};
-    if (reportResults.audits) {
-      // Only extract SEO-related audits
-      const seoAuditKeys = [
-        "document-title",
-        "meta-description",
-        "link-text",
-        "is-crawlable",
-        "robots-txt",
-        "image-alt",
-        "hreflang",
-        "canonical",
-        "font-display",
-        "structured-data",
-        "meta-viewport",
-        "charset",
-        "tap-targets",
-        "content-width",
-        "crawlable-anchors",
-        "duplicate-meta-descriptions",
-        "duplicate-title",
-        "frame-title",
-        "html-has-lang",
-        "html-lang-valid",
-        "input-image-alt",
-        "label",
-        "link-name",
-        "list",
-        "listitem",
-        "object-alt",
-        "video-caption",
-        "video-description",
-        "aria-allowed-attr",
-        "aria-hidden-body",
-        "aria-hidden-focus",
-        "aria-input-field-name",
-        "aria-required-attr",
-        "aria-required-children",
-        "aria-required-parent",
-        "aria-roles",
-        "aria-valid-attr-value",
-        "aria-valid-attr",
-        "duplicate-id-active",
-        "duplicate-id-aria",
-        "form-field-multiple-labels",
-        "heading-order",
-        "landmark-one-main",
-        "meta-refresh",
-        "tabindex",
-        "td-headers-attr",
-        "th-has-data-cells",
-        "valid-lang",
-      ];
-
-      seoAuditKeys.forEach((key) => {
-        if (reportResults.audits[key]) {
-          seoAudits[key] = {
-            score: reportResults.audits[key].score,
-            displayValue: reportResults.audits[key].displayValue,
-            description: reportResults.audits[key].description,
-          };
-        }
-      });
-    }
-
-    return {
-      url,
-      seoScore,
-      seoAudits,
-      // Minimal performance data for context
-      performanceScore: 0, // Not calculated in SEO-only mode
-      accessibilityScore: 0, // Not calculated in SEO-only mode
-      bestPracticesScore: 0, // Not calculated in SEO-only mode
-      lcp: 0,
-      fid: 0,
-      cls: 0,
-      ttfb: 0,
-      firstContentfulPaint: 0,
-      speedIndex: 0,
-      totalBlockingTime: 0,
-      timeToInteractive: 0,
-      lcpStatus: "Not Analyzed",
-      fidStatus: "Not Analyzed",
-      clsStatus: "Not Analyzed",
-      ttfbStatus: "Not Analyzed",
-    };
-  } catch (error) {
-    console.log(
-      `❌ Lighthouse SEO analysis failed for ${url}: ${error.message}`
+// Add a Redirects sheet row for a redirected URL, flagging chains, loops and
+// temporary redirects that most likely should be permanent
+function recordRedirect(session, url, hops, finalUrl, finalStatus) {
+  const chainUrls = [...hops.map((hop) => hop.url), finalUrl];
+  const issues = [];
+  if (new Set(chainUrls).size < chainUrls.length) {
+    issues.push("Redirect loop");
+  }
+  if (hops.length > 1) {
+    issues.push(`Redirect chain with ${hops.length} hops`);
+  }
+  const temporary = [
+    ...new Set(
+      hops
+        .map((hop) => hop.status)
+        .filter((status) => [302, 303, 307].includes(status))
+    ),
+  ];
+  if (temporary.length > 0) {
+    issues.push(
+      `Temporary redirect (${temporary.join(
+        ", "
+      )}), use 301/308 if the move is permanent`
     );
-    console.log("🔄 Lighthouse will be skipped for this crawl");
-    return {
-      url,
-      seoScore: 0,
-      seoAudits: {},
-      performanceScore: 0,
-      accessibilityScore: 0,
-      bestPracticesScore: 0,
-      lcp: 0,
-      fid: 0,
-      cls: 0,
-      ttfb: 0,
-      firstContentfulPaint: 0,
-      speedIndex: 0,
-      totalBlockingTime: 0,
-      timeToInteractive: 0,
-      lcpStatus: "Failed",
-      fidStatus: "Failed",
-      clsStatus: "Failed",
-      ttfbStatus: "Failed",
-    };
   }
+  if (finalStatus >= 400) {
+    issues.push(`Redirect target returns ${finalStatus}`);
+  }
+
+  session.results.redirects.push({
+    url,
+    status: hops[0]?.status ?? "",
+    finalUrl,
+    finalStatus,
+    hops: hops.length,
+    chain: [...hops, { url: finalUrl, status: finalStatus }]
+      .map((hop) => `${hop.url} (${hop.status})`)
+      .join(" → "),
+    issues: issues.join("; ") || "None",
+  });
 }
-*/
 
 function normalizeUrl(url) {
   try {
@@ -1026,174 +1312,416 @@ function normalizeUrl(url) {
   }
 }
 
-export async function runCrawl(targetUrl, outputDir = "reports") {
-  // Reset all stateful arrays and sets
-  visited.clear();
-  workingLinks.length = 0;
-  brokenLinks.length = 0;
-  seoInsights.length = 0;
-  imageAlts.length = 0;
-  keywordStats.length = 0;
-  externalLinks.length = 0;
-  missingAnchorTexts.length = 0;
-  accessibilityIssues.length = 0;
-  metaTagAudit.length = 0;
-  structuredData.length = 0;
-  technicalSeo.length = 0;
-  ogTags.length = 0;
-  metaTags.length = 0;
-  pagePerformanceMetrics.length = 0;
-  webCoreVitals.length = 0;
-  duplicateContentIssues.length = 0;
-  brokenResources.length = 0;
-  sitemapRobotsInfo.length = 0;
-  missingSeoIssues.length = 0;
-  pagesScanned = 0; // Reset pages scanned counter
-
-  // Reset performance metrics
-  performanceMetrics.startTime = Date.now();
-  performanceMetrics.pagesCrawled = 0;
-  performanceMetrics.errors = 0;
-  performanceMetrics.totalResponseTime = 0;
-  performanceMetrics.averageResponseTime = 0;
+// Add an internal URL to the crawl frontier unless it was already seen, is
+// out of scope or is disallowed by robots.txt
+function queueUrl(session, url, foundOn, depth) {
+  const { visited, queue, depths } = session;
+  if (
+    visited.has(url) ||
+    queue.includes(url) ||
+    !isUrlInScope(session, url) ||
+    isBlockedByRobots(session, url, foundOn)
+  ) {
+    return;
+  }
+  if (!depths.has(normalizeUrl(url))) {
+    depths.set(normalizeUrl(url), depth);
+  }
+  queue.push(url);
+}
 
-  const base = targetUrl.endsWith("/") ? targetUrl : targetUrl + "/";
+// Include/exclude patterns from the crawl options. Exclude wins, and with no
+// include patterns every URL is in scope.
+function isUrlInScope(session, url) {
+  const { include, exclude } = session.urlFilters;
+  if (exclude.some((matches) => matches(url))) return false;
+  return include.length === 0 || include.some((matches) => matches(url));
+}
+
+// Check a URL against the session's robots.txt and record it once in the
+// Robots.txt Blocked sheet if it is disallowed. Returns true when the URL
+// must not be crawled; with ignoreRobotsTxt it is still reported but crawled.
+function isBlockedByRobots(session, url, foundOn) {
+  const { robotsTxt, options, results } = session;
+  if (!robotsTxt) return false;
 
-  // Also create a base domain for better link matching
-  const baseDomain = new URL(targetUrl).origin;
+  // isAllowed() returns undefined for URLs on other hosts
+  if (robotsTxt.parser.isAllowed(url, options.robotsUserAgent) !== false) {
+    return false;
+  }
+
+  if (!results.robotsBlocked.some((entry) => entry.url === url)) {
+    results.robotsBlocked.push({
+      url,
+      foundOn,
+      rule: getBlockingRule(robotsTxt, url, options.robotsUserAgent),
+      userAgent: options.robotsUserAgent,
+      crawled: options.ignoreRobotsTxt ? "Yes (override)" : "No",
+    });
+    // Crawled URLs get their verdict from crawlPage() instead
+    if (!options.ignoreRobotsTxt) recordIndexability(session, url, "");
+  }
+  return !options.ignoreRobotsTxt;
+}
+
+// Add the indexability verdict for a URL. The first reason that applies
+// wins, in the order search engines would hit them.
+function recordIndexability(session, url, status, page = {}) {
+  const { robotsTxt, options } = session;
+  const disallowed =
+    robotsTxt?.parser.isAllowed(url, options.robotsUserAgent) === false;
+  const canonicalUrl = resolveCanonical(page.canonical, url);
+
+  const [, verdict = "Indexable", reason = ""] =
+    [
+      [
+        disallowed,
+        "Blocked by robots.txt",
+        disallowed && getBlockingRule(robotsTxt, url, options.robotsUserAgent),
+      ],
+      [page.error, "Non-200 status", page.error],
+      [page.redirectedTo, "Redirected", `Redirects to ${page.redirectedTo}`],
+      [
+        parseXRobotsTag(page.metaRobots).has("noindex"),
+        "Noindex (meta robots)",
+        `meta robots: ${page.metaRobots}`,
+      ],
+      [
+        parseXRobotsTag(page.xRobotsTag).has("noindex"),
+        "Noindex (X-Robots-Tag header)",
+        `X-Robots-Tag: ${page.xRobotsTag}`,
+      ],
+      [
+        canonicalUrl && canonicalUrl !== url,
+        "Canonicalised",
+        `Canonical points to ${canonicalUrl}`,
+      ],
+    ].find(([applies]) => applies) || [];
+
+  const entry = {
+    url,
+    status,
+    indexable: verdict === "Indexable" ? "Yes" : "No",
+    indexability: verdict,
+    reason,
+  };
+  // A page that fails after it was analysed replaces its earlier verdict
+  const { indexability } = session.results;
+  const existing = indexability.findIndex((row) => row.url === url);
+  if (existing === -1) {
+    indexability.push(entry);
+  } else {
+    indexability[existing] = entry;
+  }
+}
+
+// Live counters for a session, used by job status polling and live events
+export function getCrawlProgress(session) {
+  const { results } = session;
+  return {
+    pagesCrawled: session.visited.size,
+    queueSize: session.queue.length + (session.scheduler?.length() || 0),
+    workingLinks: results.workingLinks.length,
+    brokenLinks: results.brokenLinks.length,
+    issuesFound: Object.keys(ISSUE_LISTS).reduce(
+      (total, key) => total + results[key].length,
+      0
+    ),
+    elapsedSeconds: Number(
+      ((Date.now() - session.performanceMetrics.startTime) / 1000).toFixed(2)
+    ),
+  };
+}
+
+// Plain-JSON snapshot of a session for on-disk checkpoints. Pages that were
+// still loading go back into the frontier, and whatever they had recorded so
+// far is dropped so the re-crawl doesn't duplicate it.
+export function serializeCrawlSession(session) {
+  const { inFlight } = session;
+  const isComplete = (entry) =>
+    !inFlight.has(entry.url ?? entry.page ?? entry.from);
+
+  return {
+    targetUrl: session.targetUrl,
+    options: session.options,
+    visited: [...session.visited].filter((url) => !inFlight.has(url)),
+    depths: [...session.depths],
+    sitemapAlternates: session.sitemapAlternates,
+    sitemapUrls: [...session.sitemapUrls],
+    sitemapEntries: session.sitemapEntries,
+    screenshotDir: session.screenshotDir,
+    discoveryDone: session.discoveryDone,
+    paused: session.paused,
+    linkGraph: [...session.linkGraph].filter(([url]) => !inFlight.has(url)),
+    frontier: [...new Set([...inFlight, ...session.pending, ...session.queue])],
+    contentHashes: [...session.contentHashes].filter(
+      ([, url]) => !inFlight.has(url)
+    ),
+    simHashes: [...session.simHashes].filter(([url]) => !inFlight.has(url)),
+    pagesScanned: session.pagesScanned - inFlight.size,
+    performanceMetrics: {
+      ...session.performanceMetrics,
+      pagesCrawled: session.performanceMetrics.pagesCrawled - inFlight.size,
+    },
+    results: Object.fromEntries(
+      Object.entries(session.results).map(([key, list]) => [
+        key,
+        list.filter(isComplete),
+      ])
+    ),
+  };
+}
+
+// Rebuild a session from serializeCrawlSession() output so runCrawl() can
+// pick up where the checkpoint left off
+export function restoreCrawlSession(snapshot) {
+  const session = createCrawlSession(snapshot.targetUrl, snapshot.options);
+  snapshot.visited.forEach((url) => session.visited.add(url));
+  session.sitemapAlternates.push(...snapshot.sitemapAlternates);
+  snapshot.sitemapUrls.forEach((url) => session.sitemapUrls.add(url));
+  session.sitemapEntries.push(...snapshot.sitemapEntries);
+  session.screenshotDir = snapshot.screenshotDir;
+  snapshot.linkGraph.forEach(([url, links]) =>
+    session.linkGraph.set(url, links)
+  );
+  snapshot.depths.forEach(([url, depth]) => session.depths.set(url, depth));
+  session.queue.push(...snapshot.frontier);
+  snapshot.contentHashes.forEach(([hash, url]) =>
+    session.contentHashes.set(hash, url)
+  );
+  snapshot.simHashes.forEach(([url, hash]) => session.simHashes.set(url, hash));
+  session.pagesScanned = snapshot.pagesScanned;
+  Object.assign(session.performanceMetrics, snapshot.performanceMetrics);
+  Object.assign(session.results, snapshot.results);
+  session.discoveryDone = snapshot.discoveryDone;
+  session.paused = snapshot.paused;
+  return session;
+}
+
+// Stop scheduling new pages. Pages already loading finish normally and the
+// report is still written, marked as incomplete.
+export function cancelCrawl(session) {
+  if (session.cancelled) return;
+  session.cancelled = true;
+  session.paused = false;
+  session.queue.length = 0;
+  session.pending.clear();
+
+  const q = session.scheduler;
+  if (q) {
+    q.remove(() => true);
+    if (q.idle()) session.stopWaiting?.();
+  }
+  session.events.emit("state-changed", { state: "cancelled" });
+}
+
+// Let in-flight pages finish but don't start new ones until resumed
+export function pauseCrawl(session) {
+  if (session.paused || session.cancelled) return;
+  session.paused = true;
+  session.scheduler?.pause();
+  session.events.emit("state-changed", { state: "paused" });
+}
+
+export function resumeCrawl(session) {
+  if (!session.paused) return;
+  session.paused = false;
+  session.scheduler?.resume();
+  session.events.emit("state-changed", { state: "running" });
+}
+
+export async function runCrawl(
+  targetUrl,
+  outputDir = "reports",
+  session = createCrawlSession(targetUrl)
+) {
+  const { base, visited, queue, performanceMetrics } = session;
+  // The session may have been created before the crawl was scheduled
+  performanceMetrics.startTime = Date.now();
+  // Screenshots are written while crawling, before the report has a name
+  session.screenshotDir ??= path.join(
+    process.cwd(),
+    outputDir,
+    `crawl-${Date.now()}-screenshots`
+  );
+  const { seoInsights, sitemapRobotsInfo } = session.results;
 
   async function generateReport() {
-    console.log(`🔍 Starting crawl of ${base}... (Max ${MAX_PAGES} pages)`);
-    const queue = [normalizeUrl(base)];
+    const { maxPages } = session.options;
+    console.log(`🔍 Starting crawl of ${base}... (Max ${maxPages} pages)`);
+    queue.push(normalizeUrl(base));
+
+    // robots.txt is re-read on every run, including resumed ones, so the
+    // rules and Crawl-delay always apply
+    const { requestTimeout, followSitemaps } = session.options;
+    const robotsTxt = await fetchRobotsTxt(base, requestTimeout);
+    session.robotsTxt = robotsTxt;
+    const { robotsUserAgent, ignoreRobotsTxt } = session.options;
+    const crawlDelay = robotsTxt.parser.getCrawlDelay(robotsUserAgent);
+    if (crawlDelay && !ignoreRobotsTxt) {
+      session.limiter.updateSettings({
+        minTime: Math.max(session.options.requestDelay, crawlDelay * 1000),
+      });
+      console.log(`🐢 Honoring robots.txt Crawl-delay of ${crawlDelay}s`);
+    }
 
     // --- SITEMAP DISCOVERY & QUEUEING ---
-    try {
-      // robots.txt check
-      const robotsRes = await axios.get(base + "robots.txt", {
-        validateStatus: null,
-      });
-      if (robotsRes.status === 200) {
-        seoInsights.push({
-          url: base + "robots.txt",
-          note: "robots.txt found",
-        });
-        sitemapRobotsInfo.push({ url: base + "robots.txt", status: "found" });
-      } else {
-        seoInsights.push({
-          url: base + "robots.txt",
-          note: "robots.txt missing",
-        });
-        sitemapRobotsInfo.push({ url: base + "robots.txt", status: "missing" });
+    // A session restored from a checkpoint may already have been through
+    // discovery. Nothing is added to the session until discovery finishes,
+    // so a checkpoint written halfway through simply runs it again.
+    if (!session.discoveryDone) {
+      const robotsSitemaps = robotsTxt.parser.getSitemaps();
+
+      // SITEMAP: Parse and queue all URLs from the sitemaps declared in
+      // robots.txt plus the conventional /sitemap.xml
+      const sitemapSources = new Map(
+        robotsSitemaps.map((url) => [url, "robots.txt Sitemap directive"])
+      );
+      if (!sitemapSources.has(base + "sitemap.xml")) {
+        sitemapSources.set(base + "sitemap.xml", "default location");
       }
-    } catch {
+
+      const alternates = [];
+      const { files, entries } = await fetchSitemaps(sitemapSources, {
+        timeout: requestTimeout,
+        siteHost: new URL(base).host,
+        alternates,
+      });
+      entries.forEach((entry) => {
+        entry.url = normalizeUrl(entry.url);
+        session.sitemapUrls.add(entry.url);
+      });
+      alternates.forEach((alternate) => {
+        alternate.url = normalizeUrl(alternate.url);
+        alternate.href = normalizeUrl(alternate.href);
+      });
+      session.sitemapAlternates.push(...alternates);
+      session.sitemapEntries.push(...entries);
+
       seoInsights.push({
-        url: base + "robots.txt",
-        note: "robots.txt missing",
+        url: robotsTxt.url,
+        note: robotsTxt.found ? "robots.txt found" : "robots.txt missing",
+      });
+      sitemapRobotsInfo.push({
+        url: robotsTxt.url,
+        status: robotsTxt.found ? "found" : "missing",
+        source: "robots.txt",
+        userAgent: robotsUserAgent,
+        crawlDelay: crawlDelay ?? "",
+        sitemapDirectives: robotsSitemaps.length,
       });
-      sitemapRobotsInfo.push({ url: base + "robots.txt", status: "missing" });
-    }
 
-    // SITEMAP: Parse and queue all URLs from sitemap(s)
-    try {
-      const sitemapUrl = base + "sitemap.xml";
-      const sitemapRes = await axios.get(sitemapUrl, { validateStatus: null });
-      if (sitemapRes.status === 200) {
-        const sitemapUrls = await getSitemapUrls(sitemapUrl);
-        if (sitemapUrls.length > 0) {
-          seoInsights.push({
-            url: sitemapUrl,
-            note: `sitemap.xml found (${sitemapUrls.length} URLs)`,
-          });
-          sitemapRobotsInfo.push({ url: sitemapUrl, status: "found" });
-          // Add all unique sitemap URLs to the queue (if not already visited or queued)
-          for (const url of sitemapUrls) {
-            if (!visited.has(url) && !queue.includes(url)) {
-              queue.push(url);
-            }
-          }
-        } else {
+      files.forEach((file) => {
+        sitemapRobotsInfo.push(file);
+        if (file.status === "missing") {
+          seoInsights.push({ url: file.url, note: "sitemap.xml missing" });
+        } else if (file.type === "urlset") {
           seoInsights.push({
-            url: sitemapUrl,
-            note: "sitemap.xml found but no URLs",
+            url: file.url,
+            note: file.urlCount
+              ? `sitemap.xml found (${file.urlCount} URLs)`
+              : "sitemap.xml found but no URLs",
           });
-          sitemapRobotsInfo.push({ url: sitemapUrl, status: "found" });
         }
-      } else {
-        seoInsights.push({ url: sitemapUrl, note: "sitemap.xml missing" });
-        sitemapRobotsInfo.push({ url: sitemapUrl, status: "missing" });
-      }
-    } catch {
-      seoInsights.push({
-        url: base + "sitemap.xml",
-        note: "sitemap.xml missing",
       });
-      sitemapRobotsInfo.push({ url: base + "sitemap.xml", status: "missing" });
+      console.log(
+        `🗺️ Read ${files.length} sitemap file(s) with ${session.sitemapUrls.size} URLs`
+      );
+
+      // Add all unique sitemap URLs to the queue (if not already visited or queued)
+      for (const entry of followSitemaps ? entries : []) {
+        queueUrl(session, entry.url, entry.sitemap, 0);
+      }
+      session.discoveryDone = true;
     }
 
-    // Launch a single browser instance for the entire crawl
-    const browser = await puppeteer.launch({
-      headless: "new",
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-accelerated-2d-canvas",
-        "--no-first-run",
-        "--no-zygote",
-        "--disable-gpu",
-        "--disable-web-security",
-        "--disable-features=VizDisplayCompositor",
-        "--disable-background-timer-throttling",
-        "--disable-backgrounding-occluded-windows",
-        "--disable-renderer-backgrounding",
-        "--disable-field-trial-config",
-        "--disable-ipc-flooding-protection",
-        "--disable-background-networking",
-        "--disable-default-apps",
-        "--disable-extensions",
-        "--disable-sync",
-        "--disable-translate",
-        "--hide-scrollbars",
-        "--mute-audio",
-        "--no-default-browser-check",
-        "--safebrowsing-disable-auto-update",
-        "--disable-client-side-phishing-detection",
-        "--disable-component-update",
-        "--disable-domain-reliability",
-        "--disable-features=TranslateUI",
-        "--disable-llm",
-        "--disable-logging",
-        "--disable-notifications",
-        "--disable-popup-blocking",
-        "--disable-software-rasterizer",
-      ],
-    });
+    // Launch a single browser instance for the entire crawl, static crawls
+    // never render so they don't need one
+    const browser =
+      session.options.renderMode === "static"
+        ? null
+        : await puppeteer.launch({
+            headless: "new",
+            args: [
+              "--no-sandbox",
+              "--disable-setuid-sandbox",
+              "--disable-dev-shm-usage",
+              "--disable-accelerated-2d-canvas",
+              "--no-first-run",
+              "--no-zygote",
+              "--disable-gpu",
+              "--disable-web-security",
+              "--disable-features=VizDisplayCompositor",
+              "--disable-background-timer-throttling",
+              "--disable-backgrounding-occluded-windows",
+              "--disable-renderer-backgrounding",
+              "--disable-field-trial-config",
+              "--disable-ipc-flooding-protection",
+              "--disable-background-networking",
+              "--disable-default-apps",
+              "--disable-extensions",
+              "--disable-sync",
+              "--disable-translate",
+              "--hide-scrollbars",
+              "--mute-audio",
+              "--no-default-browser-check",
+              "--safebrowsing-disable-auto-update",
+              "--disable-client-side-phishing-detection",
+              "--disable-component-update",
+              "--disable-domain-reliability",
+              "--disable-features=TranslateUI",
+              "--disable-llm",
+              "--disable-logging",
+              "--disable-notifications",
+              "--disable-popup-blocking",
+              "--disable-software-rasterizer",
+            ],
+          });
 
     // True parallel crawling using async.queue
     const scheduled = new Set();
-    const q = async.queue(async (url, done) => {
-      if (visited.size >= MAX_PAGES) return done();
-      if (scheduled.has(url)) return done();
+    const q = async.queue(async (url) => {
+      session.pending.delete(url);
+      if (session.cancelled) return;
+      if (visited.size >= maxPages) return;
+      if (scheduled.has(url)) return;
       scheduled.add(url);
-      await crawlPage(url, queue, base, base, baseDomain, browser);
+      await crawlPage(session, url, browser);
+      // Links found by pages still in flight when the crawl was cancelled
+      if (session.cancelled) {
+        queue.length = 0;
+        return;
+      }
       // As crawlPage adds new URLs to the queue, push them to async.queue
-      while (queue.length > 0 && visited.size < MAX_PAGES) {
+      while (queue.length > 0 && visited.size < maxPages) {
         const nextUrl = queue.shift();
         if (!scheduled.has(nextUrl)) {
+          session.pending.add(nextUrl);
           q.push(nextUrl);
         }
       }
-      done();
-    }, CONCURRENT_REQUESTS);
-    q.push(normalizeUrl(base));
-    await q.drain();
+    }, session.options.concurrency);
+    session.scheduler = q;
+    if (session.paused) q.pause();
+
+    // A disallowed start URL is reported but leaves nothing to crawl
+    if (!session.cancelled && !isBlockedByRobots(session, base, "start URL")) {
+      q.push(normalizeUrl(base));
+      await new Promise((resolve) => {
+        q.drain(resolve);
+        // A cancelled crawl with no pages in flight never drains on its own
+        session.stopWaiting = resolve;
+      });
+    }
 
-    await browser.close();
+    if (browser) await browser.close();
 
     console.log(
-      `\n✅ Crawl completed! Pages crawled: ${visited.size}/${MAX_PAGES}`
+      session.cancelled
+        ? `\n🛑 Crawl cancelled! Pages crawled: ${visited.size}/${maxPages}`
+        : `\n✅ Crawl completed! Pages crawled: ${visited.size}/${maxPages}`
     );
-    console.log(`📊 Total pages scanned: ${pagesScanned}`);
+    console.log(`📊 Total pages scanned: ${session.pagesScanned}`);
     console.log(
       `⏱️  Total time: ${(
         (Date.now() - performanceMetrics.startTime) /
@@ -1207,15 +1735,96 @@ export async function runCrawl(targetUrl, outputDir = "reports") {
     );
     console.log(`❌ Errors: ${performanceMetrics.errors}`);
 
+    // Report rows are built next to the raw results rather than over them,
+    // so a checkpoint written after a failed report can still be resumed
+    const report = { ...session.results };
+    // Per-page duplicate findings become clusters once every page is known
+    report.duplicateContentIssues = buildDuplicateClusters(session);
+    report.canonicals = buildCanonicalAudit(
+      session.results.canonicals,
+      session.results.indexability
+    );
+    report.linkGraph = analyzeLinkGraph({
+      graph: session.linkGraph,
+      startUrl: normalizeUrl(base),
+      redirects: new Map(
+        session.results.redirects.map((row) => [row.url, row.finalUrl])
+      ),
+      sitemapUrls: session.sitemapUrls,
+      deepPageThreshold: session.options.deepPageThreshold,
+    });
+    if (session.options.lighthouse && !session.cancelled) {
+      const crawled = new Set(
+        session.results.workingLinks.map((link) => link.url)
+      );
+      const sample = selectLighthouseSample({
+        homepage: normalizeUrl(base),
+        pages: report.linkGraph.filter((row) => crawled.has(row.url)),
+        sampleSize: session.options.lighthouseSampleSize,
+      });
+      console.log(`🔦 Running Lighthouse on ${sample.length} sampled pages...`);
+      const scores = await runLighthouseStage(sample, {
+        timeout: session.options.pageTimeout,
+      });
+      // Scores are added to a copy of the page's lab metrics row
+      report.pagePerformanceMetrics =
+        session.results.pagePerformanceMetrics.map((row) => ({
+          ...row,
+          ...scores.get(row.url),
+        }));
+      scores.forEach((pageScores, url) => {
+        if (!report.pagePerformanceMetrics.some((row) => row.url === url)) {
+          report.pagePerformanceMetrics.push({ url, ...pageScores });
+        }
+      });
+      session.lighthousePages = scores.size;
+    }
+    report.hreflang = buildHreflangAudit(
+      [...session.results.hreflang, ...session.sitemapAlternates],
+      session.results.indexability
+    );
+    console.log(
+      `🌐 Checking ${
+        new Set(session.results.externalLinks.map((link) => link.to)).size
+      } external links...`
+    );
+    // A cancelled crawl only lists its external links, it doesn't wait for
+    // them to be checked
+    const { links, sources } = await checkExternalLinks(
+      session.results.externalLinks,
+      {
+        timeout: session.options.requestTimeout,
+        shouldStop: () => session.cancelled,
+      }
+    );
+    report.externalLinks = links;
+    report.externalLinkSources = sources;
+    const { resources, pages } = groupBrokenResources(
+      session.results.brokenResources
+    );
+    report.brokenResources = resources;
+    report.brokenResourcePages = pages;
+    report.sitemapUrlIssues = buildSitemapUrlIssues(
+      session.sitemapEntries,
+      session.results.indexability
+    );
+
     const wb = XLSX.utils.book_new();
     const sheets = [
       {
         name: "Crawl Summary",
         data: [
           {
-            "Pages Scanned": pagesScanned,
-            "Working Links": workingLinks.length,
-            "Broken Links": brokenLinks.length,
+            "Crawl Status": session.cancelled
+              ? "Incomplete (cancelled)"
+              : "Complete",
+            "Pages Scanned": session.pagesScanned,
+            "Working Links": report.workingLinks.length,
+            "Broken Links": report.brokenLinks.length,
+            Redirects: report.redirects.length,
+            "Indexable Pages": report.indexability.filter(
+              (entry) => entry.indexable === "Yes"
+            ).length,
             "Total Time (seconds)": (
               (Date.now() - performanceMetrics.startTime) /
               1000
@@ -1223,29 +1832,96 @@ export async function runCrawl(targetUrl, outputDir = "reports") {
             "Average Response Time (ms)":
               performanceMetrics.averageResponseTime.toFixed(2),
             Errors: performanceMetrics.errors,
-            "Max Pages Limit": MAX_PAGES,
+            "Max Pages Limit": maxPages,
+            "Max Depth": session.options.maxDepth ?? "Unlimited",
+            Concurrency: session.options.concurrency,
+            "Request Delay (ms)": session.options.requestDelay,
+            "Request Timeout (ms)": session.options.requestTimeout,
+            "Page Timeout (ms)": session.options.pageTimeout,
+            "Include Patterns": session.options.include.join(", ") || "All",
+            "Exclude Patterns": session.options.exclude.join(", ") || "None",
+            "Follow Sitemap URLs": session.options.followSitemaps
+              ? "Yes"
+              : "No",
+            "Deep Page Threshold (clicks)": session.options.deepPageThreshold,
+            "Render Mode": {
+              browser: "Browser (every page)",
+              static: "Static HTML only",
+              auto: "Auto (browser for app shells)",
+            }[session.options.renderMode],
+            "Pages Rendered in Browser": report.workingLinks.filter(
+              (row) => row.renderMode !== "Static"
+            ).length,
+            Device: {
+              desktop: "Desktop",
+              mobile: "Mobile (smartphone)",
+              both: "Mobile and desktop",
+            }[session.options.device],
+            Lighthouse: session.options.lighthouse
+              ? `${session.lighthousePages ?? 0} pages analysed`
+              : "Off",
+            "Robots.txt User Agent": session.options.robotsUserAgent,
+            "Robots.txt Rules": session.options.ignoreRobotsTxt
+              ? "Ignored (audit override)"
+              : "Respected",
+            "URLs Blocked by robots.txt": report.robotsBlocked.length,
           },
         ],
       },
-      { name: "Working Links", data: workingLinks },
-      { name: "Broken Links", data: brokenLinks },
-      { name: "SEO Info", data: seoInsights },
-      { name: "Meta Tag Audit", data: metaTagAudit },
-      { name: "Open Graph Tags", data: ogTags },
-      { name: "All Meta Tags", data: metaTags },
-      { name: "Image ALT Tags", data: imageAlts },
-      { name: "Missing Anchors", data: missingAnchorTexts },
-      { name: "Accessibility Issues", data: accessibilityIssues },
-      { name: "Keyword Density", data: keywordStats },
-      { name: "External Links", data: externalLinks },
-      { name: "Structured Data", data: structuredData },
-      { name: "Technical SEO", data: technicalSeo },
-      { name: "Performance Metrics", data: pagePerformanceMetrics },
-      { name: "Web Core Vitals", data: webCoreVitals },
-      { name: "Duplicate Content", data: duplicateContentIssues },
-      { name: "Broken Resources", data: brokenResources },
-      { name: "Sitemap & robots.txt", data: sitemapRobotsInfo },
-      { name: "Missing SEO Issues", data: missingSeoIssues },
+      { name: "Working Links", data: report.workingLinks },
+      { name: "Broken Links", data: report.brokenLinks },
+      { name: "Redirects", data: report.redirects },
+      { name: "Indexability", data: report.indexability },
+      { name: "Canonicals", data: report.canonicals },
+      { name: "Hreflang", data: report.hreflang },
+      { name: "Internal Link Graph", data: report.linkGraph },
+      { name: "SEO Info", data: report.seoInsights },
+      { name: "Mobile vs Desktop", data: report.mobileParity },
+      {
+        name: "JavaScript Rendering",
+        data: report.javascriptRendering,
+      },
+      { name: "Meta Tag Audit", data: report.metaTagAudit },
+      { name: "Open Graph Tags", data: report.ogTags },
+      { name: "All Meta Tags", data: report.metaTags },
+      { name: "Image ALT Tags", data: report.imageAlts },
+      {
+        name: "Image Optimization",
+        data: report.imageOptimization,
+      },
+      { name: "Missing Anchors", data: report.missingAnchorTexts },
+      {
+        name: "Accessibility Issues",
+        data: report.accessibilityIssues,
+      },
+      { name: "Keyword Density", data: report.keywordStats },
+      { name: "External Links", data: report.externalLinks },
+      {
+        name: "External Link Sources",
+        data: report.externalLinkSources,
+      },
+      { name: "Structured Data", data: report.structuredData },
+      { name: "Technical SEO", data: report.technicalSeo },
+      { name: "Response Headers", data: report.responseHeaders },
+      {
+        name: "Performance Metrics",
+        data: report.pagePerformanceMetrics,
+      },
+      { name: "Web Core Vitals", data: report.webCoreVitals },
+      {
+        name: "Duplicate Content",
+        data: report.duplicateContentIssues,
+      },
+      { name: "Broken Resources", data: report.brokenResources },
+      {
+        name: "Broken Resource Pages",
+        data: report.brokenResourcePages,
+      },
+      { name: "Sitemap & robots.txt", data: report.sitemapRobotsInfo },
+      { name: "Sitemap URL Issues", data: report.sitemapUrlIssues },
+      { name: "Robots.txt Blocked", data: report.robotsBlocked },
+      { name: "Missing SEO Issues", data: report.missingSeoIssues },
+      { name: "Screenshots", data: report.screenshots },
     ];
 
     sheets.forEach(({ name, data }) => {
@@ -1270,33 +1946,43 @@ export async function runCrawl(targetUrl, outputDir = "reports") {
     const filePath = path.join(reportsDir, fileName);
     XLSX.writeFile(wb, filePath);
     console.log(`✅ Report saved as ${filePath}`);
-    return filePath;
+
+    // Ready-to-upload sitemap of the indexable pages, next to the report
+    const sitemapDir = filePath.replace(/\.xlsx$/, "-sitemap");
+    fs.mkdirSync(sitemapDir, { recursive: true });
+    const sitemapPages = collectSitemapPages(report, base, {
+      images: session.options.sitemapImages,
+      lastmod: session.options.sitemapLastmod,
+    });
+    buildSitemapFiles(sitemapPages, base).forEach(({ name, xml }) =>
+      fs.writeFileSync(path.join(sitemapDir, name), xml)
+    );
+    console.log(
+      `🗺️ Sitemap with ${sitemapPages.length} URLs saved in ${sitemapDir}`
+    );
+
+    if (fs.existsSync(session.screenshotDir)) {
+      fs.renameSync(session.screenshotDir, screenshotDirFor(filePath));
+      console.log(
+        `📸 ${
+          report.screenshots.length
+        } screenshots saved in ${screenshotDirFor(filePath)}`
+      );
+    }
+    return {
+      filePath,
+      sitemapPath: path.join(sitemapDir, "sitemap.xml"),
+      report,
+    };
   }
 
-  return await generateReport();
+  const { filePath, sitemapPath, report } = await generateReport();
+  return {
+    filePath,
+    sitemapPath,
+    complete: !session.cancelled,
+    pagesScanned: session.pagesScanned,
+    performanceMetrics,
+    data: report,
+  };
 }
-
-// Export all data arrays for the dashboard
-export {
-  workingLinks,
-  brokenLinks,
-  seoInsights,
-  metaTagAudit,
-  imageAlts,
-  missingAnchorTexts,
-  accessibilityIssues,
-  keywordStats,
-  externalLinks,
-  structuredData,
-  technicalSeo,
-  ogTags,
-  metaTags,
-  pagePerformanceMetrics,
-  webCoreVitals,
-  performanceMetrics,
-  pagesScanned,
-  duplicateContentIssues,
-  brokenResources,
-  sitemapRobotsInfo,
-  missingSeoIssues,
-};
@@ -1,31 +1,16 @@
 import express from "express";
 import cors from "cors";
 import path from "path";
-import { runCrawl } from "./crawler.js";
-// Import the raw data arrays for dashboard
 import {
-  workingLinks,
-  brokenLinks,
-  seoInsights,
-  metaTagAudit,
-  imageAlts,
-  missingAnchorTexts,
-  accessibilityIssues,
-  keywordStats,
-  externalLinks,
-  structuredData,
-  technicalSeo,
-  ogTags,
-  metaTags,
-  pagePerformanceMetrics,
-  webCoreVitals,
-  performanceMetrics,
-  pagesScanned,
-  duplicateContentIssues,
-  brokenResources,
-  sitemapRobotsInfo,
-  missingSeoIssues,
-} from "./crawler.js";
+  createCrawlJob,
+  getCrawlJob,
+  describeCrawlJob,
+  cancelCrawlJob,
+  pauseCrawlJob,
+  resumeCrawlJob,
+  restoreCrawlJob,
+  resumeInterruptedCrawlJobs,
+} from "./utils/crawlJobs.js";
 import PDFDocument from "pdfkit";
 import { Readable } from "stream";
 // Import report consolidation utilities
@@ -39,8 +24,18 @@ import {
   generateIndividualPDFReport,
 } from "./utils/reportConsolidator.js";
 import { generateSEOChecklistPDF } from "./utils/seoChecklistGenerator.js";
+import { validateCrawlOptions } from "./utils/crawlOptions.js";
+import {
+  collectSitemapPages,
+  buildSitemapFiles,
+} from "./utils/sitemapGenerator.js";
+import {
+  SCREENSHOT_FILE_PATTERN,
+  screenshotDirFor,
+} from "./utils/screenshots.js";
 import XLSX from "xlsx";
 import fs from "fs";
+import crypto from "crypto";
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -153,8 +148,46 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
 
-// Serve reports statically
-app.use("/reports", express.static(path.join(process.cwd(), "reports")));
+// Serve reports statically. Screenshot folders are left out, they are only
+// available with a token, see /api/reports/individual/screenshots. The path
+// is checked decoded, the way express.static reads it from disk.
+function hideScreenshotFolders(req, res, next) {
+  let filePath;
+  try {
+    filePath = decodeURIComponent(req.path);
+  } catch {
+    return res.sendStatus(400);
+  }
+  return /-screenshots(\/|$)/.test(filePath) ? res.sendStatus(404) : next();
+}
+
+app.use(
+  "/reports",
+  hideScreenshotFolders,
+  express.static(path.join(process.cwd(), "reports"))
+);
+
+// Requires REPORTS_TOKEN as a Bearer token, or as ?token= so screenshots can
+// be used directly in <img> tags
+function requireReportsToken(req, res, next) {
+  const expected = process.env.REPORTS_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: "REPORTS_TOKEN is not configured" });
+  }
+  const header = req.get("authorization") || "";
+  const token = Buffer.from(
+    String(
+      header.startsWith("Bearer ") ? header.slice(7) : req.query.token || ""
+    )
+  );
+  if (
+    token.length !== Buffer.byteLength(expected) ||
+    !crypto.timingSafeEqual(token, Buffer.from(expected))
+  ) {
+    return res.status(401).json({ error: "Invalid or missing token" });
+  }
+  next();
+}
 
 // AI Analysis Functions with Fallback
 async function callOpenRouterAI(
@@ -364,10 +397,11 @@ ${
     ?.map(
       (perf, index) => `
 Page ${index + 1}: ${perf.url}
-- Performance Score: ${perf.performanceScore}/100
-- SEO Score: ${perf.seoScore}/100
-- Accessibility Score: ${perf.accessibilityScore}/100
-- Best Practices Score: ${perf.bestPracticesScore}/100`
+- Core Web Vitals: ${perf.rating || "Not measured"}
+- TTFB: ${perf.ttfb}ms, LCP: ${perf.lcp}ms, CLS: ${perf.cls}
+- Load Time: ${perf.loadTime}ms, ${perf.requests} requests, ${
+        perf.transferSizeKB
+      }KB transferred`
     )
     .join("\n") || "No performance data available"
 }
@@ -378,8 +412,8 @@ ${
     ?.slice(0, 10)
     .map(
       (resource, index) =>
-        `${index + 1}. ${resource.type}: ${resource.resource} (Page: ${
-          resource.url
+        `${index + 1}. ${resource.type}: ${resource.resource} (Pages: ${
+          resource.pages
         })`
     )
     .join("\n") || "No broken resources found"
@@ -531,10 +565,11 @@ ${
     ?.map(
       (perf, index) => `
 Page ${index + 1}: ${perf.url}
-- Performance: ${perf.performanceScore}/100
-- SEO Score: ${perf.seoScore}/100
-- Accessibility: ${perf.accessibilityScore}/100
-- Best Practices: ${perf.bestPracticesScore}/100`
+- Core Web Vitals: ${perf.rating || "Not measured"}
+- TTFB: ${perf.ttfb}ms, LCP: ${perf.lcp}ms, CLS: ${perf.cls}
+- Load Time: ${perf.loadTime}ms, ${perf.requests} requests, ${
+        perf.transferSizeKB
+      }KB transferred`
     )
     .join("\n") || "No performance data"
 }
@@ -654,10 +689,11 @@ ${
     ?.map(
       (perf, index) => `
 Page ${index + 1}: ${perf.url}
-- Performance: ${perf.performanceScore}/100
-- SEO Score: ${perf.seoScore}/100
-- Accessibility: ${perf.accessibilityScore}/100
-- Best Practices: ${perf.bestPracticesScore}/100`
+- Core Web Vitals: ${perf.rating || "Not measured"}
+- TTFB: ${perf.ttfb}ms, LCP: ${perf.lcp}ms, CLS: ${perf.cls}
+- Load Time: ${perf.loadTime}ms, ${perf.requests} requests, ${
+        perf.transferSizeKB
+      }KB transferred`
     )
     .join("\n") || "No performance data available"
 }
@@ -790,49 +826,186 @@ IMPORTANT: Do not use any emojis, emoticons, or special characters in your respo
 }
 
 app.post("/api/crawl", rateLimit, async (req, res) => {
-  const { url } = req.body;
+  const { url, options: requestedOptions } = req.body;
   if (!url || typeof url !== "string") {
     return res.status(400).json({ error: "Missing or invalid url" });
   }
 
   try {
-    const filePath = await runCrawl(url);
-    // Return a download link relative to the server
-    const fileName = path.basename(filePath);
-    const downloadUrl = `/reports/${fileName}`;
-    // Return the raw data for dashboard
-    res.json({
-      success: true,
-      downloadUrl,
-      performanceMetrics,
-      pagesScanned,
-      data: {
-        workingLinks,
-        brokenLinks,
-        seoInsights,
-        metaTagAudit,
-        imageAlts,
-        missingAnchorTexts,
-        accessibilityIssues,
-        keywordStats,
-        externalLinks,
-        structuredData,
-        technicalSeo,
-        ogTags,
-        metaTags,
-        pagePerformanceMetrics,
-        webCoreVitals,
-        duplicateContentIssues,
-        brokenResources,
-        sitemapRobotsInfo,
-        missingSeoIssues,
-      },
+    new URL(url);
+  } catch {
+    return res.status(400).json({ error: "Missing or invalid url" });
+  }
+
+  const { options, error } = validateCrawlOptions(requestedOptions);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Crawls can take minutes, so enqueue a job and let the client poll it
+  const job = createCrawlJob(url, options);
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    state: job.state,
+    statusUrl: `/api/crawl/${job.id}`,
+  });
+});
+
+app.get("/api/crawl/:jobId", (req, res) => {
+  const job = getCrawlJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Crawl job not found" });
+  }
+
+  res.json({ success: true, ...describeCrawlJob(job) });
+});
+
+// Cancel, pause and resume a crawl job
+function crawlJobControl(action) {
+  return (req, res) => {
+    const job = getCrawlJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Crawl job not found" });
+    }
+
+    if (!action(job)) {
+      return res
+        .status(409)
+        .json({ error: `Crawl job has already ${job.state}` });
+    }
+
+    const { result, ...status } = describeCrawlJob(job);
+    res.json({ success: true, ...status });
+  };
+}
+
+app.post("/api/crawl/:jobId/cancel", crawlJobControl(cancelCrawlJob));
+app.post("/api/crawl/:jobId/pause", crawlJobControl(pauseCrawlJob));
+
+app.post("/api/crawl/:jobId/resume", (req, res) => {
+  const job = getCrawlJob(req.params.jobId);
+  if (job && resumeCrawlJob(job)) {
+    const { result, ...status } = describeCrawlJob(job);
+    return res.json({ success: true, ...status });
+  }
+
+  // Unknown after a restart, or failed: pick it up from its last checkpoint
+  const restored = restoreCrawlJob(req.params.jobId);
+  if (!restored) {
+    return job
+      ? res.status(409).json({ error: `Crawl job has already ${job.state}` })
+      : res.status(404).json({ error: "Crawl job not found" });
+  }
+  if (restored === job) {
+    return res
+      .status(409)
+      .json({ error: `Crawl job has already ${job.state}` });
+  }
+
+  const { result, ...status } = describeCrawlJob(restored);
+  res.status(202).json({ success: true, ...status });
+});
+
+// Live crawl progress over Server-Sent Events
+const CRAWL_EVENTS = [
+  "page-crawled",
+  "page-failed",
+  "issue-found",
+  "state-changed",
+];
+const SSE_HEARTBEAT_INTERVAL = 15000; // Keeps proxies from closing idle streams
+
+app.get("/api/crawl/:jobId/events", (req, res) => {
+  const job = getCrawlJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Crawl job not found" });
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // Disable nginx buffering
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { result, ...status } = describeCrawlJob(job);
+  send("status", status);
+
+  // Nothing more will happen for a finished job
+  if (job.finishedAt) {
+    send("crawl-finished", {
+      state: job.state,
+      downloadUrl: job.downloadUrl,
+      error: job.error,
+      counters: status,
     });
-  } catch (err) {
-    res.status(500).json({ error: err.message || "Crawl failed" });
+    return res.end();
+  }
+
+  const { events } = job.session;
+  const listeners = CRAWL_EVENTS.map((event) => [
+    event,
+    (data) => send(event, data),
+  ]);
+  const onFinished = (data) => {
+    send("crawl-finished", data);
+    cleanup();
+    res.end();
+  };
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    SSE_HEARTBEAT_INTERVAL
+  );
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    listeners.forEach(([event, listener]) => events.off(event, listener));
+    events.off("crawl-finished", onFinished);
   }
+
+  listeners.forEach(([event, listener]) => events.on(event, listener));
+  events.once("crawl-finished", onFinished);
+  req.on("close", cleanup);
 });
 
+// XML sitemap of a finished crawl's indexable pages. ?images=true adds
+// image entries, ?lastmod=false leaves out <lastmod>. Past 50,000 URLs
+// sitemap.xml is an index and the parts are served as sitemap-N.xml.
+function sendCrawlSitemap(fileName) {
+  return (req, res) => {
+    const job = getCrawlJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Crawl job not found" });
+    }
+    if (!job.result) {
+      return res
+        .status(409)
+        .json({ error: "Crawl job has not finished with results yet" });
+    }
+
+    const pages = collectSitemapPages(job.result.data, job.session.base, {
+      images: req.query.images === "true",
+      lastmod: req.query.lastmod !== "false",
+    });
+    const name = fileName || `sitemap-${req.params.part}.xml`;
+    const file = buildSitemapFiles(pages, job.session.base).find(
+      (f) => f.name === name
+    );
+    if (!file) {
+      return res.status(404).json({ error: "Sitemap file not found" });
+    }
+
+    res.type("application/xml").send(file.xml);
+  };
+}
+
+app.get("/api/crawl/:jobId/sitemap.xml", sendCrawlSitemap("sitemap.xml"));
+app.get("/api/crawl/:jobId/sitemap-:part.xml", sendCrawlSitemap());
+
 // AI Analysis Endpoints
 app.post("/api/ai/content-analysis", rateLimit, async (req, res) => {
   try {
@@ -1240,6 +1413,31 @@ app.get(
   }
 );
 
+// Above-the-fold screenshot of a page in a report. The report's
+// "Screenshots" sheet maps page URLs to image names. Not rate limited, a
+// report page loads many thumbnails and the token already guards it.
+app.get(
+  "/api/reports/individual/screenshots/:fileName/:image",
+  requireReportsToken,
+  (req, res) => {
+    const { fileName, image } = req.params;
+    if (
+      path.basename(fileName) !== fileName ||
+      !fileName.endsWith(".xlsx") ||
+      !SCREENSHOT_FILE_PATTERN.test(image)
+    ) {
+      return res.status(400).json({ error: "Invalid screenshot path" });
+    }
+
+    const reportPath = path.join(process.cwd(), "reports", fileName);
+    const filePath = path.join(screenshotDirFor(reportPath), image);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "Screenshot not found" });
+    }
+    res.type("image/jpeg").sendFile(filePath);
+  }
+);
+
 // Generate individual Excel report for a specific domain (enhanced version)
 app.get(
   "/api/reports/individual/excel/:fileName",
@@ -1486,6 +1684,9 @@ app.get("/", (req, res) => {
     test: "Auto-deploy working!",
     endpoints: {
       crawl: "/api/crawl",
+      crawlStatus: "/api/crawl/:jobId",
+      crawlEvents: "/api/crawl/:jobId/events",
+      crawlControl: "/api/crawl/:jobId/{cancel,pause,resume}",
       aiAnalysis: "/api/ai/comprehensive-analysis",
       seoChecklist: "/api/seo-checklist/pdf",
       reports: "/api/reports/*",
@@ -1513,4 +1714,12 @@ app.listen(PORT, () => {
   console.log(`Rate limit: ${MAX_REQUESTS_PER_HOUR} requests per hour per IP`);
   console.log(`Page limit: 2000 pages per crawl`);
   console.log(`AI Analysis: Available via /api/ai/* endpoints`);
+
+  // Pick up crawls that were interrupted by the last shutdown
+  if (process.env.RESUME_CRAWLS_ON_BOOT !== "false") {
+    const resumed = resumeInterruptedCrawlJobs();
+    if (resumed.length > 0) {
+      console.log(`Resumed ${resumed.length} interrupted crawl job(s)`);
+    }
+  }
 });
@@ -0,0 +1,119 @@
+// Canonical tag analysis across a whole crawl. Works on the per-page
+// canonical data collected by crawlPage() plus the indexability verdicts,
+// which tell us whether a canonical target redirected, failed or is noindex.
+
+// Resolve a canonical href against the page URL. Returns "" when missing or
+// unparseable.
+export function resolveCanonical(href, pageUrl) {
+  if (!href || !href.trim()) return "";
+  try {
+    const url = new URL(href.trim(), pageUrl);
+    url.hash = "";
+    return url.href;
+  } catch {
+    return "";
+  }
+}
+
+const TARGET_PROBLEMS = {
+  Redirected: "Canonical target redirects",
+  "Non-200 status": "Canonical target returns an error",
+  "Noindex (meta robots)": "Canonical target is noindex",
+  "Noindex (X-Robots-Tag header)": "Canonical target is noindex",
+  "Blocked by robots.txt": "Canonical target is blocked by robots.txt",
+};
+
+// pages: [{ url, canonical, canonicalTags, headerCanonical }] with resolved
+// URLs, indexability: the Indexability sheet rows. Returns one row per page
+// with its canonical chain, canonical cluster and issues.
+export function buildCanonicalAudit(pages, indexability) {
+  const canonicalOf = new Map(pages.map((page) => [page.url, page.canonical]));
+  const verdicts = new Map(indexability.map((row) => [row.url, row]));
+
+  // Follow canonical -> canonical until a self-referencing, uncrawled or
+  // already visited URL
+  const followChain = (url) => {
+    const chain = [url];
+    let next = canonicalOf.get(url);
+    while (next && next !== chain[chain.length - 1]) {
+      if (chain.includes(next)) {
+        return { chain: [...chain, next], loop: true };
+      }
+      chain.push(next);
+      next = canonicalOf.get(next);
+    }
+    return { chain, loop: false };
+  };
+
+  const rows = pages.map((page) => {
+    const { chain, loop } = followChain(page.url);
+    const finalCanonical = loop ? "" : chain[chain.length - 1];
+    const issues = [];
+
+    const tags = page.canonicalTags ? page.canonicalTags.split(" | ") : [];
+    if (new Set(tags).size > 1) {
+      issues.push("Multiple conflicting canonical tags");
+    }
+    if (
+      page.headerCanonical &&
+      page.canonical &&
+      page.headerCanonical !== page.canonical
+    ) {
+      issues.push("Link header canonical conflicts with HTML canonical");
+    }
+
+    if (page.canonical && page.canonical !== page.url) {
+      // Hostname, not origin: an http page canonicalised to its https
+      // version is the usual setup, not a cross-domain canonical
+      if (new URL(page.canonical).hostname !== new URL(page.url).hostname) {
+        issues.push("Canonical points to another domain");
+      } else if (loop) {
+        issues.push("Canonical loop");
+      } else {
+        if (chain.length > 2) {
+          issues.push(`Canonical chain with ${chain.length - 1} hops`);
+        }
+        const target = verdicts.get(page.canonical);
+        if (!target) {
+          issues.push("Canonical target was not crawled");
+        } else if (TARGET_PROBLEMS[target.indexability]) {
+          issues.push(
+            `${TARGET_PROBLEMS[target.indexability]} (${
+              target.reason || target.status
+            })`
+          );
+        }
+      }
+    }
+
+    return {
+      url: page.url,
+      canonical: page.canonical,
+      canonicalType: !page.canonical
+        ? "Missing"
+        : page.canonical === page.url
+        ? "Self-referencing"
+        : "Canonicalised",
+      chain: chain.join(" → "),
+      finalCanonical,
+      issues: issues.join("; ") || "None",
+    };
+  });
+
+  // Pages that end up at the same canonical URL form a cluster
+  const clusterSizes = new Map();
+  rows.forEach((row) => {
+    if (row.finalCanonical) {
+      clusterSizes.set(
+        row.finalCanonical,
+        (clusterSizes.get(row.finalCanonical) || 0) + 1
+      );
+    }
+  });
+  return rows.map((row) => ({
+    ...row,
+    canonicalCluster:
+      clusterSizes.get(row.finalCanonical) > 1 ? row.finalCanonical : "",
+    clusterSize: clusterSizes.get(row.finalCanonical) || 1,
+  }));
+}
@@ -0,0 +1,53 @@
+import fs from "fs";
+import path from "path";
+
+// Checkpoints live next to the reports so they survive a process restart on
+// the same disk
+const CHECKPOINT_DIR = path.join(process.cwd(), "reports", "checkpoints");
+
+function checkpointPath(jobId) {
+  return path.join(CHECKPOINT_DIR, `${jobId}.json`);
+}
+
+// Write a checkpoint atomically (temp file + rename) so a crash mid-write
+// never leaves a truncated file behind
+export async function saveCheckpoint(jobId, checkpoint) {
+  await fs.promises.mkdir(CHECKPOINT_DIR, { recursive: true });
+  const filePath = checkpointPath(jobId);
+  const tmpPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(
+    tmpPath,
+    JSON.stringify({ ...checkpoint, savedAt: new Date().toISOString() })
+  );
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+export function loadCheckpoint(jobId) {
+  // Job ids are UUIDs, anything else could be a path traversal attempt
+  if (!/^[0-9a-f-]{36}$/i.test(jobId)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath(jobId), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Failed to read checkpoint for job ${jobId}:`, error);
+    }
+    return null;
+  }
+}
+
+export function listCheckpoints() {
+  if (!fs.existsSync(CHECKPOINT_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(CHECKPOINT_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => loadCheckpoint(path.basename(file, ".json")))
+    .filter(Boolean);
+}
+
+export async function deleteCheckpoint(jobId) {
+  await fs.promises.rm(checkpointPath(jobId), { force: true });
+}
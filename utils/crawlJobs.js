@@ -0,0 +1,246 @@
+import crypto from "crypto";
+import path from "path";
+import pLimit from "p-limit";
+import {
+  createCrawlSession,
+  getCrawlProgress,
+  runCrawl,
+  cancelCrawl,
+  pauseCrawl,
+  resumeCrawl,
+  serializeCrawlSession,
+  restoreCrawlSession,
+} from "../crawler.js";
+import {
+  saveCheckpoint,
+  loadCheckpoint,
+  listCheckpoints,
+  deleteCheckpoint,
+} from "./crawlCheckpoints.js";
+
+// Puppeteer is memory hungry, so only a couple of crawls run at once and the
+// rest wait in line as "queued"
+const MAX_CONCURRENT_CRAWLS = 2;
+const JOB_TTL = 60 * 60 * 1000; // Keep finished jobs for 1 hour
+const CHECKPOINT_INTERVAL = 30000; // Save crawl progress every 30 seconds
+
+const jobs = new Map();
+const crawlSlots = pLimit(MAX_CONCURRENT_CRAWLS);
+
+// Create a crawl job and start it in the background
+export function createCrawlJob(url, options = {}) {
+  // Session is created up front so SSE clients can subscribe while queued
+  const job = enqueueJob(
+    crypto.randomUUID(),
+    url,
+    createCrawlSession(url, options)
+  );
+  // Checkpoint right away so even a queued job survives a restart
+  writeCheckpoint(job);
+  return job;
+}
+
+function enqueueJob(id, url, session, createdAt = Date.now()) {
+  const job = {
+    id,
+    url,
+    state: "queued",
+    createdAt,
+    startedAt: null,
+    finishedAt: null,
+    session,
+    result: null,
+    downloadUrl: null,
+    sitemapUrl: null,
+    error: null,
+  };
+  jobs.set(job.id, job);
+
+  crawlSlots(() => runJob(job));
+  return job;
+}
+
+function writeCheckpoint(job) {
+  // Skip this round if the previous write is still going
+  if (!job.checkpointWrite) {
+    job.checkpointWrite = saveCheckpoint(job.id, {
+      jobId: job.id,
+      url: job.url,
+      createdAt: job.createdAt,
+      state: job.state,
+      session: serializeCrawlSession(job.session),
+    })
+      .catch((error) => {
+        console.error(`Failed to checkpoint crawl job ${job.id}:`, error);
+      })
+      .finally(() => {
+        job.checkpointWrite = null;
+      });
+  }
+  return job.checkpointWrite;
+}
+
+async function removeCheckpoint(job) {
+  // Let a pending write land first, or it would recreate the file
+  await job.checkpointWrite;
+  await deleteCheckpoint(job.id).catch(() => {});
+}
+
+async function runJob(job) {
+  // Cancelled while waiting for a slot, nothing was crawled
+  if (job.state === "cancelled") return;
+
+  job.state = job.session.paused ? "paused" : "running";
+  job.startedAt = Date.now();
+  const checkpointTimer = setInterval(
+    () => writeCheckpoint(job),
+    CHECKPOINT_INTERVAL
+  );
+
+  try {
+    const { filePath, sitemapPath, complete, ...result } = await runCrawl(
+      job.url,
+      "reports",
+      job.session
+    );
+    job.result = result;
+    job.downloadUrl = `/reports/${path.basename(filePath)}`;
+    job.sitemapUrl = `/reports/${path.basename(
+      path.dirname(sitemapPath)
+    )}/sitemap.xml`;
+    job.state = complete ? "completed" : "cancelled";
+  } catch (err) {
+    console.error(`Crawl job ${job.id} failed:`, err);
+    job.error = err.message || "Crawl failed";
+    job.state = "failed";
+  } finally {
+    clearInterval(checkpointTimer);
+    job.finishedAt = Date.now();
+    // A failed crawl keeps its checkpoint so it can be resumed via the API
+    if (job.state === "failed") {
+      await job.checkpointWrite;
+      await writeCheckpoint(job);
+    } else {
+      await removeCheckpoint(job);
+    }
+    job.session.events.emit("crawl-finished", {
+      state: job.state,
+      downloadUrl: job.downloadUrl,
+      error: job.error,
+      counters: getCrawlProgress(job.session),
+    });
+  }
+}
+
+export function getCrawlJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+function isFinished(job) {
+  return ["completed", "failed", "cancelled"].includes(job.state);
+}
+
+// Cancel a job. A running crawl drains its queue, closes the browser and
+// still produces a partial report. Returns false if the job already ended.
+export function cancelCrawlJob(job) {
+  if (isFinished(job)) return false;
+
+  cancelCrawl(job.session);
+  if (job.state === "queued") {
+    job.state = "cancelled";
+    job.finishedAt = Date.now();
+    removeCheckpoint(job);
+    job.session.events.emit("crawl-finished", {
+      state: job.state,
+      downloadUrl: null,
+      error: null,
+      counters: getCrawlProgress(job.session),
+    });
+  }
+  return true;
+}
+
+export function pauseCrawlJob(job) {
+  if (isFinished(job)) return false;
+
+  pauseCrawl(job.session);
+  if (job.state === "running") job.state = "paused";
+  return true;
+}
+
+export function resumeCrawlJob(job) {
+  if (isFinished(job)) return false;
+
+  resumeCrawl(job.session);
+  if (job.state === "paused") job.state = "running";
+  return true;
+}
+
+// Restart a job from its on-disk checkpoint, e.g. after a server restart or
+// a failed crawl. Returns null if there is nothing to resume.
+export function restoreCrawlJob(jobId) {
+  const existing = jobs.get(jobId);
+  if (existing && existing.state !== "failed") return existing;
+
+  const checkpoint = loadCheckpoint(jobId);
+  if (!checkpoint) return null;
+
+  console.log(
+    `♻️  Resuming crawl job ${jobId} for ${checkpoint.url} (${checkpoint.session.visited.length} pages already crawled)`
+  );
+  return enqueueJob(
+    checkpoint.jobId,
+    checkpoint.url,
+    restoreCrawlSession(checkpoint.session),
+    checkpoint.createdAt
+  );
+}
+
+// Resume every crawl that was interrupted by a restart. Failed crawls are
+// left alone so a crawl that keeps crashing doesn't restart on every boot.
+export function resumeInterruptedCrawlJobs() {
+  return listCheckpoints()
+    .filter((checkpoint) => checkpoint.state !== "failed")
+    .map((checkpoint) => restoreCrawlJob(checkpoint.jobId))
+    .filter(Boolean);
+}
+
+// Public view of a job for the status endpoint
+export function describeCrawlJob(job) {
+  const progress = getCrawlProgress(job.session);
+  if (!job.startedAt) {
+    progress.elapsedSeconds = 0;
+  } else if (job.finishedAt) {
+    progress.elapsedSeconds = Number(
+      ((job.finishedAt - job.startedAt) / 1000).toFixed(2)
+    );
+  }
+
+  return {
+    jobId: job.id,
+    url: job.url,
+    state: job.state,
+    options: job.session.options,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    ...progress,
+    ...(job.result && {
+      complete: job.state === "completed",
+      downloadUrl: job.downloadUrl,
+      sitemapUrl: job.sitemapUrl,
+      result: job.result,
+    }),
+    ...(job.state === "failed" && { error: job.error }),
+  };
+}
+
+// Clean up finished jobs so their results don't stay in memory forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of jobs.entries()) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL) {
+      jobs.delete(id);
+    }
+  }
+}, JOB_TTL).unref();
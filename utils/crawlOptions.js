@@ -0,0 +1,113 @@
+import { CRAWL_DEVICES } from "./deviceParity.js";
+import { RENDER_MODES } from "./staticFetch.js";
+
+// Server-side ceilings for per-request crawl options. Anything outside these
+// ranges is rejected rather than clamped so the client knows what ran.
+export const CRAWL_OPTION_LIMITS = {
+  maxPages: { min: 1, max: 2000 }, // Free tier limit
+  maxDepth: { min: 0, max: 50 },
+  concurrency: { min: 1, max: 10 }, // 4 unless static, see MAX_BROWSER_CONCURRENCY
+  requestDelay: { min: 0, max: 60000 }, // ms between page requests
+  requestTimeout: { min: 1000, max: 60000 }, // ms, robots.txt and sitemaps
+  pageTimeout: { min: 5000, max: 120000 }, // ms, page loads
+  deepPageThreshold: { min: 1, max: 50 }, // Clicks before a page is "deep"
+  lighthouseSampleSize: { min: 1, max: 20 }, // Each page takes ~10-30s
+};
+
+// Each browser worker holds a Chromium tab
+const MAX_BROWSER_CONCURRENCY = 4;
+
+const BOOLEAN_OPTIONS = [
+  "followSitemaps",
+  "ignoreRobotsTxt",
+  "sitemapImages",
+  "sitemapLastmod",
+  "lighthouse",
+  "screenshots",
+];
+
+const MAX_URL_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+
+function validatePatterns(name, patterns) {
+  if (
+    !Array.isArray(patterns) ||
+    patterns.length > MAX_URL_PATTERNS ||
+    patterns.some(
+      (p) => typeof p !== "string" || !p || p.length > MAX_PATTERN_LENGTH
+    )
+  ) {
+    return `options.${name} must be an array of up to ${MAX_URL_PATTERNS} non-empty strings`;
+  }
+  return null;
+}
+
+// Validate the options object of POST /api/crawl. Returns { options } with
+// only the keys the client set, or { error } describing the first problem.
+export function validateCrawlOptions(input = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "options must be an object" };
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (value === undefined || value === null) continue;
+
+    if (CRAWL_OPTION_LIMITS[key]) {
+      const { min, max } = CRAWL_OPTION_LIMITS[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return {
+          error: `options.${key} must be an integer between ${min} and ${max}`,
+        };
+      }
+      options[key] = value;
+    } else if (key === "include" || key === "exclude") {
+      const error = validatePatterns(key, value);
+      if (error) return { error };
+      options[key] = value;
+    } else if (BOOLEAN_OPTIONS.includes(key)) {
+      if (typeof value !== "boolean") {
+        return { error: `options.${key} must be a boolean` };
+      }
+      options[key] = value;
+    } else if (key === "robotsUserAgent") {
+      if (typeof value !== "string" || !value.trim() || value.length > 100) {
+        return { error: "options.robotsUserAgent must be a non-empty string" };
+      }
+      options[key] = value.trim();
+    } else if (key === "device") {
+      if (!CRAWL_DEVICES.includes(value)) {
+        return {
+          error: `options.device must be one of ${CRAWL_DEVICES.join(", ")}`,
+        };
+      }
+      options[key] = value;
+    } else if (key === "renderMode") {
+      if (!RENDER_MODES.includes(value)) {
+        return {
+          error: `options.renderMode must be one of ${RENDER_MODES.join(", ")}`,
+        };
+      }
+      options[key] = value;
+    } else {
+      return { error: `Unknown crawl option: ${key}` };
+    }
+  }
+
+  // Only fully static crawls can run more workers than Chromium can handle
+  if (
+    options.renderMode !== "static" &&
+    options.concurrency > MAX_BROWSER_CONCURRENCY
+  ) {
+    return {
+      error: `options.concurrency above ${MAX_BROWSER_CONCURRENCY} needs renderMode "static"`,
+    };
+  }
+  if (
+    options.device === "both" &&
+    (options.renderMode ?? "browser") !== "browser"
+  ) {
+    return { error: 'options.device "both" needs renderMode "browser"' };
+  }
+  return { options };
+}
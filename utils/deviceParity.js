@@ -0,0 +1,115 @@
+// Mobile-first rendering and mobile vs desktop parity checks. Google indexes
+// the mobile version of a page, so content or links that only exist on
+// desktop are effectively invisible to it.
+
+export const CRAWL_DEVICES = ["desktop", "mobile", "both"];
+
+// A mid-range Android phone, roughly what Googlebot Smartphone emulates
+const MOBILE_VIEWPORT = {
+  width: 412,
+  height: 915,
+  deviceScaleFactor: 2.625,
+  isMobile: true,
+  hasTouch: true,
+};
+export const MOBILE_USER_AGENT =
+  "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Mobile Safari/537.36";
+const DESKTOP_VIEWPORT = { width: 1350, height: 940 };
+
+// Set up a fresh page to render as a smartphone or a desktop browser
+export async function emulateDevice(page, device) {
+  if (device === "mobile") {
+    await page.setViewport(MOBILE_VIEWPORT);
+    await page.setUserAgent(MOBILE_USER_AGENT);
+  } else {
+    await page.setViewport(DESKTOP_VIEWPORT);
+  }
+}
+
+// The parts of a rendered page that are compared between devices
+export function extractParitySnapshot($, pageUrl, isInternal) {
+  const internalLinks = new Set();
+  $("a[href]").each((_, el) => {
+    try {
+      const url = new URL($(el).attr("href").trim(), pageUrl);
+      url.hash = "";
+      if (isInternal(url.href)) internalLinks.add(url.href);
+    } catch {}
+  });
+
+  const structuredData = new Set();
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const data = JSON.parse($(el).html());
+      [data["@graph"] || data]
+        .flat()
+        .forEach((item) => structuredData.add(`${item["@type"]}`));
+    } catch {
+      structuredData.add("Invalid JSON-LD");
+    }
+  });
+  $("[itemscope][itemtype]").each((_, el) =>
+    structuredData.add($(el).attr("itemtype"))
+  );
+
+  return {
+    title: $("title").text().trim(),
+    description: $('meta[name="description"]').attr("content") || "",
+    h1s: $("h1")
+      .map((_, el) => $(el).text().trim())
+      .get(),
+    canonical: $('link[rel="canonical"]').attr("href") || "",
+    structuredData,
+    wordCount: ($("body").text().match(/\S+/g) || []).length,
+    internalLinks,
+  };
+}
+
+// Below this share of the desktop word count, mobile is missing content
+const MIN_MOBILE_CONTENT_RATIO = 0.9;
+const MAX_LISTED_LINKS = 10;
+
+// One Mobile vs Desktop row comparing the two renders of a page
+export function compareRenders(url, mobile, desktop) {
+  const issues = [];
+  if (mobile.title !== desktop.title) issues.push("Title differs on mobile");
+  if (mobile.description !== desktop.description) {
+    issues.push("Meta description differs on mobile");
+  }
+  if (mobile.canonical !== desktop.canonical) {
+    issues.push("Canonical differs on mobile");
+  }
+  const missingH1s = desktop.h1s.filter((h1) => !mobile.h1s.includes(h1));
+  if (missingH1s.length > 0) {
+    issues.push(`H1 missing on mobile: ${missingH1s.join(" | ")}`);
+  }
+  const missingSchema = [...desktop.structuredData].filter(
+    (type) => !mobile.structuredData.has(type)
+  );
+  if (missingSchema.length > 0) {
+    issues.push(
+      `Structured data missing on mobile: ${missingSchema.join(", ")}`
+    );
+  }
+  if (mobile.wordCount < desktop.wordCount * MIN_MOBILE_CONTENT_RATIO) {
+    issues.push(
+      `Less content on mobile (${mobile.wordCount} vs ${desktop.wordCount} words)`
+    );
+  }
+  const missingLinks = [...desktop.internalLinks].filter(
+    (link) => !mobile.internalLinks.has(link)
+  );
+  if (missingLinks.length > 0) {
+    issues.push(`Internal links missing on mobile: ${missingLinks.length}`);
+  }
+
+  return {
+    url,
+    mobileWordCount: mobile.wordCount,
+    desktopWordCount: desktop.wordCount,
+    mobileInternalLinks: mobile.internalLinks.size,
+    desktopInternalLinks: desktop.internalLinks.size,
+    linksMissingOnMobile: missingLinks.slice(0, MAX_LISTED_LINKS).join(" | "),
+    issues: issues.join("; ") || "None",
+  };
+}
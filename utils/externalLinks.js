@@ -0,0 +1,107 @@
+import Bottleneck from "bottleneck";
+import pLimit from "p-limit";
+import { requestStatus } from "./httpCheck.js";
+
+// Outbound link checker. Every external URL is requested once per crawl,
+// however many pages link to it, with a small per-host limit so we never
+// hammer a third-party site.
+
+const MAX_CONCURRENT_CHECKS = 10;
+const PER_HOST_CONCURRENCY = 2;
+const PER_HOST_MIN_TIME = 250; // ms between requests to the same host
+
+// Servers that refuse HEAD often answer GET normally
+const RETRY_WITH_GET = [400, 403, 404, 405, 406, 429, 500, 501, 503];
+
+async function checkLink(url, timeout) {
+  let result;
+  try {
+    result = await requestStatus(url, "HEAD", timeout);
+    if (!RETRY_WITH_GET.includes(result.status)) return result;
+  } catch (err) {
+    // Fall through to GET, some servers drop HEAD requests
+  }
+  try {
+    return await requestStatus(url, "GET", timeout);
+  } catch (err) {
+    return result || { status: err.code || err.message, finalUrl: "" };
+  }
+}
+
+function buildRow(url, sources, { status, finalUrl, skipped }) {
+  const redirected = finalUrl && finalUrl !== url;
+  let issue = "None";
+  if (skipped) {
+    issue = "Not checked (crawl cancelled)";
+  } else if (typeof status !== "number") {
+    issue = "Unreachable";
+  } else if (status >= 400) {
+    issue = "Broken link";
+  } else if (redirected) {
+    issue = "Redirects";
+  }
+
+  return {
+    url,
+    status,
+    finalUrl: redirected ? finalUrl : "",
+    issue,
+    linkedFrom: sources.size,
+  };
+}
+
+// links: the raw { from, to, text } rows collected by crawlPage(). Returns
+// { links, sources }: one row per external URL with its status and redirect
+// target, and one row per page and anchor text linking to it. Once
+// shouldStop() returns true the remaining URLs are listed unchecked.
+export async function checkExternalLinks(
+  links,
+  { timeout = 10000, shouldStop = () => false } = {}
+) {
+  const targets = new Map();
+  links.forEach(({ from, to, text }) => {
+    let url;
+    try {
+      url = new URL(to);
+    } catch {
+      return;
+    }
+    if (!["http:", "https:"].includes(url.protocol)) return;
+    url.hash = "";
+    if (!targets.has(url.href)) targets.set(url.href, new Map());
+    // Linking page -> every distinct anchor text it uses for this URL
+    const sources = targets.get(url.href);
+    if (!sources.has(from)) sources.set(from, new Set());
+    sources.get(from).add((text || "").slice(0, 100));
+  });
+
+  const limit = pLimit(MAX_CONCURRENT_CHECKS);
+  const hosts = new Bottleneck.Group({
+    maxConcurrent: PER_HOST_CONCURRENCY,
+    minTime: PER_HOST_MIN_TIME,
+  });
+  const skipped = { status: "", finalUrl: "", skipped: true };
+  // Checked again once the host's turn comes, the crawl may have been
+  // cancelled while waiting
+  const check = async (url) =>
+    shouldStop() ? skipped : checkLink(url, timeout);
+
+  const rows = await Promise.all(
+    [...targets].map(([url, sources]) =>
+      limit(async () => {
+        const result = shouldStop()
+          ? skipped
+          : await hosts.key(new URL(url).host).schedule(() => check(url));
+        return buildRow(url, sources, result);
+      })
+    )
+  );
+  hosts.disconnect();
+
+  const sources = rows.flatMap(({ url, status, issue }) =>
+    [...targets.get(url)].flatMap(([page, texts]) =>
+      [...texts].map((anchorText) => ({ url, status, issue, page, anchorText }))
+    )
+  );
+  return { links: rows, sources };
+}
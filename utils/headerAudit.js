@@ -0,0 +1,99 @@
+// SEO-relevant HTTP response header checks for a crawled page. Header names
+// are expected in lower case, as Puppeteer returns them.
+
+// Directives from X-Robots-Tag that apply to every crawler or to Googlebot.
+// Multiple headers arrive joined by newlines, and a directive list can be
+// scoped to a bot, e.g. "googlebot: noindex, nofollow".
+export function parseXRobotsTag(value = "") {
+  const directives = new Set();
+  value.split("\n").forEach((line) => {
+    let list = line.trim();
+    const scope = list.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (scope && !/^(unavailable_after|max-[\w-]+)$/i.test(scope[1])) {
+      if (scope[1].toLowerCase() !== "googlebot") return;
+      list = scope[2];
+    }
+    list
+      .split(",")
+      .map((directive) => directive.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach((directive) => directives.add(directive));
+  });
+  if (directives.has("none")) {
+    directives.add("noindex");
+    directives.add("nofollow");
+  }
+  return directives;
+}
+
+// Canonical URL from a `Link: <url>; rel="canonical"` header
+export function getLinkHeaderCanonical(value = "") {
+  const match = value.match(/<([^>]+)>\s*;[^,]*rel="?canonical"?/i);
+  return match ? match[1].trim() : "";
+}
+
+export function auditResponseHeaders(url, headers, htmlCanonical = "") {
+  const contentType = headers["content-type"] || "";
+  const charset = (contentType.match(/charset=([^;\s]+)/i) || [])[1] || "";
+  const cacheControl = headers["cache-control"] || "";
+  const expires = headers["expires"] || "";
+  const contentEncoding = headers["content-encoding"] || "";
+  const lastModified = headers["last-modified"] || "";
+  const etag = headers["etag"] || "";
+  const vary = headers["vary"] || "";
+  const xRobotsTag = (headers["x-robots-tag"] || "").replace(/\n/g, "; ");
+  const linkCanonical = getLinkHeaderCanonical(headers["link"]);
+  const robotsDirectives = parseXRobotsTag(headers["x-robots-tag"]);
+
+  const issues = [];
+  if (robotsDirectives.has("noindex")) {
+    issues.push("X-Robots-Tag noindex (page excluded from search results)");
+  }
+  if (robotsDirectives.has("nofollow")) {
+    issues.push("X-Robots-Tag nofollow (links on the page are not followed)");
+  }
+  if (!contentType) {
+    issues.push("Missing Content-Type header");
+  } else if (!/^text\/html|^application\/xhtml\+xml/i.test(contentType)) {
+    issues.push(`Unexpected Content-Type for a page: ${contentType}`);
+  }
+  if (contentType && !charset) {
+    issues.push("No charset in Content-Type header");
+  }
+  if (!cacheControl && !expires) {
+    issues.push("No Cache-Control or Expires header");
+  }
+  if (!/\b(gzip|br|zstd|deflate)\b/i.test(contentEncoding)) {
+    issues.push("Response not compressed (no gzip or brotli)");
+  }
+  if (!lastModified && !etag) {
+    issues.push("No Last-Modified or ETag header");
+  }
+  if (linkCanonical && htmlCanonical) {
+    try {
+      if (
+        new URL(linkCanonical, url).href !== new URL(htmlCanonical, url).href
+      ) {
+        issues.push("Link header canonical differs from HTML canonical");
+      }
+    } catch {}
+  }
+  if (vary.split(",").some((field) => field.trim() === "*")) {
+    issues.push("Vary: * makes the response uncacheable");
+  }
+
+  return {
+    url,
+    contentType,
+    charset,
+    xRobotsTag,
+    cacheControl,
+    expires,
+    contentEncoding: contentEncoding || "none",
+    lastModified,
+    etag,
+    linkCanonical,
+    vary,
+    issues: issues.join("; ") || "None",
+  };
+}
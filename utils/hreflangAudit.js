@@ -0,0 +1,147 @@
+// Hreflang validation across a whole crawl. Annotations are collected per
+// page from HTML, Link headers and sitemaps, then checked once every page
+// is known so return links can be verified.
+
+const languageNames = new Intl.DisplayNames(["en"], {
+  type: "language",
+  fallback: "none",
+});
+const regionNames = new Intl.DisplayNames(["en"], {
+  type: "region",
+  fallback: "none",
+});
+
+// Problem with an hreflang value, or "" if it is valid. Google expects an
+// ISO 639-1 language, optionally a script, and an ISO 3166-1 alpha-2 region.
+export function validateHreflangCode(code) {
+  if (code.toLowerCase() === "x-default") return "";
+
+  const match = code.match(
+    /^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}|\d{3}))?$/i
+  );
+  if (!match) return `Invalid hreflang code "${code}"`;
+
+  const [, language, , region] = match;
+  if (!languageNames.of(language)) {
+    return `Unknown language in hreflang "${code}"`;
+  }
+  if (region && /^\d+$/.test(region)) {
+    return `Unsupported region in hreflang "${code}", use a 2-letter country code`;
+  }
+  if (region && !regionNames.of(region.toUpperCase())) {
+    return `Unknown region in hreflang "${code}"`;
+  }
+  // Deprecated or 3-letter codes have a preferred form, e.g. en-UK -> en-GB
+  const [preferred] = Intl.getCanonicalLocales(code);
+  if (preferred.toLowerCase() !== code.toLowerCase()) {
+    return `Invalid hreflang code "${code}", use "${preferred}"`;
+  }
+  return "";
+}
+
+// Alternates from `link rel="alternate" hreflang` tags
+export function extractHtmlHreflangs($, pageUrl) {
+  return $('link[rel="alternate"][hreflang]')
+    .map((_, el) => ({
+      hreflang: ($(el).attr("hreflang") || "").trim(),
+      href: resolveUrl($(el).attr("href"), pageUrl),
+      source: "HTML",
+    }))
+    .get();
+}
+
+// Alternates from a `Link: <url>; rel="alternate"; hreflang="hi"` header
+export function extractHeaderHreflangs(value = "", pageUrl) {
+  return value
+    .split(/,(?=\s*<)/)
+    .filter((link) => /rel="?alternate"?/i.test(link))
+    .map((link) => ({
+      hreflang: (link.match(/hreflang="?([^";,\s]+)"?/i) || [])[1] || "",
+      href: resolveUrl((link.match(/<([^>]+)>/) || [])[1], pageUrl),
+      source: "HTTP header",
+    }))
+    .filter((alternate) => alternate.hreflang);
+}
+
+function resolveUrl(href, base) {
+  try {
+    return href ? new URL(href.trim(), base).href : "";
+  } catch {
+    return "";
+  }
+}
+
+const BAD_TARGETS = {
+  "Non-200 status": "returns an error",
+  Redirected: "redirects",
+  Canonicalised: "is canonicalised elsewhere",
+  "Noindex (meta robots)": "is noindex",
+  "Noindex (X-Robots-Tag header)": "is noindex",
+  "Blocked by robots.txt": "is blocked by robots.txt",
+};
+
+// annotations: [{ url, hreflang, href, source }], indexability: the
+// Indexability sheet rows. Returns one row per annotated page.
+export function buildHreflangAudit(annotations, indexability) {
+  const verdicts = new Map(indexability.map((row) => [row.url, row]));
+  const byPage = new Map();
+  annotations.forEach((annotation) => {
+    if (!byPage.has(annotation.url)) byPage.set(annotation.url, []);
+    byPage.get(annotation.url).push(annotation);
+  });
+
+  return [...byPage].map(([url, alternates]) => {
+    const issues = [];
+    // Codes are case-insensitive, keep the first spelling for the report
+    const codes = new Map(); // lower-cased code -> { code, hrefs }
+
+    alternates.forEach(({ hreflang, href }) => {
+      const key = hreflang.toLowerCase();
+      if (!codes.has(key)) codes.set(key, { code: hreflang, hrefs: new Set() });
+      if (href) codes.get(key).hrefs.add(href);
+    });
+
+    for (const { code, hrefs } of codes.values()) {
+      const codeIssue = validateHreflangCode(code);
+      if (codeIssue) issues.push(codeIssue);
+      if (hrefs.size > 1) {
+        issues.push(`Conflicting URLs for hreflang "${code}"`);
+      }
+    }
+
+    const hrefs = new Set(alternates.map((a) => a.href).filter(Boolean));
+    if (!hrefs.has(url)) {
+      issues.push("Missing self-referencing hreflang");
+    }
+    if (!codes.has("x-default")) {
+      issues.push("Missing x-default");
+    }
+
+    for (const href of hrefs) {
+      if (href === url) continue;
+      const target = verdicts.get(href);
+      if (target && BAD_TARGETS[target.indexability]) {
+        issues.push(
+          `Alternate ${href} ${BAD_TARGETS[target.indexability]} (${
+            target.reason || target.status
+          })`
+        );
+      }
+      // Only crawled alternates can be checked for a link back
+      if (
+        target?.indexable === "Yes" &&
+        !(byPage.get(href) || []).some((a) => a.href === url)
+      ) {
+        issues.push(`No return link from ${href}`);
+      }
+    }
+
+    return {
+      url,
+      hreflangs: [...codes.values()].map(({ code }) => code).join(", "),
+      alternates: hrefs.size,
+      sources: [...new Set(alternates.map((a) => a.source))].join(", "),
+      issues: issues.join("; ") || "None",
+    };
+  });
+}
@@ -0,0 +1,37 @@
+import axios from "axios";
+import { LRUCache } from "lru-cache";
+
+// Helpers shared by the link, resource and image checks
+
+const MAX_REDIRECTS = 10;
+const MAX_CACHED_CHECKS = 10000;
+
+// Request a URL for its status only, the body is never downloaded. Resolves
+// with { status, finalUrl }, finalUrl being where redirects ended up.
+export async function requestStatus(url, method, timeout) {
+  const res = await axios.request({
+    url,
+    method,
+    timeout,
+    maxRedirects: MAX_REDIRECTS,
+    validateStatus: null,
+    responseType: "stream",
+    headers: { "User-Agent": "Mozilla/5.0 (compatible; CrawlVaani)" },
+  });
+  res.data.destroy?.();
+  return {
+    status: res.status,
+    finalUrl: res.request?.res?.responseUrl || url,
+  };
+}
+
+// Wrap check(url) -> Promise so each URL is checked once per crawl. The
+// promise itself is cached, so pages loading at the same time share one
+// request.
+export function createCachedCheck(check, { max = MAX_CACHED_CHECKS } = {}) {
+  const cache = new LRUCache({ max });
+  return (url) => {
+    if (!cache.has(url)) cache.set(url, check(url));
+    return cache.get(url);
+  };
+}
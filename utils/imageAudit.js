@@ -0,0 +1,183 @@
+import axios from "axios";
+import { createCachedCheck } from "./httpCheck.js";
+
+// Image optimization audit. Every unique image is downloaded once per crawl
+// to get its real size, type and pixel dimensions, which are then compared
+// with how each page renders it.
+
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024; // Stop downloading after 20MB
+const HEADER_BYTES = 64 * 1024; // Enough to find the dimensions
+
+const OVERSIZED_IMAGE_BYTES = 200 * 1024;
+// Intrinsic width over rendered width, 2x still allows for retina screens
+const OVERSCALED_RATIO = 2;
+
+const MODERN_FORMATS = ["image/webp", "image/avif", "image/svg+xml"];
+
+// Pixel dimensions from the first bytes of a PNG, GIF, JPEG, WebP or AVIF
+// file, or null for anything else (e.g. SVG)
+export function readImageDimensions(buf) {
+  if (buf.length < 30) return null;
+
+  // PNG: IHDR chunk
+  if (buf.readUInt32BE(0) === 0x89504e47) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  // GIF87a / GIF89a
+  if (buf.toString("ascii", 0, 3) === "GIF") {
+    return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  // JPEG: walk the segments up to the first start-of-frame marker
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buf.length) {
+      if (buf[offset] !== 0xff) return null;
+      const marker = buf[offset + 1];
+      if (
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        ![0xc4, 0xc8, 0xcc].includes(marker)
+      ) {
+        return {
+          height: buf.readUInt16BE(offset + 5),
+          width: buf.readUInt16BE(offset + 7),
+        };
+      }
+      offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+  // WebP: lossy, lossless and extended variants
+  if (
+    buf.toString("ascii", 0, 4) === "RIFF" &&
+    buf.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    const chunk = buf.toString("ascii", 12, 16);
+    if (chunk === "VP8 ") {
+      return {
+        width: buf.readUInt16LE(26) & 0x3fff,
+        height: buf.readUInt16LE(28) & 0x3fff,
+      };
+    }
+    if (chunk === "VP8L") {
+      const bits = buf.readUInt32LE(21);
+      return {
+        width: (bits & 0x3fff) + 1,
+        height: ((bits >> 14) & 0x3fff) + 1,
+      };
+    }
+    if (chunk === "VP8X") {
+      return {
+        width: buf.readUIntLE(24, 3) + 1,
+        height: buf.readUIntLE(27, 3) + 1,
+      };
+    }
+    return null;
+  }
+  // AVIF: image spatial extents ("ispe") box
+  if (buf.toString("ascii", 4, 8) === "ftyp") {
+    const ispe = buf.indexOf("ispe");
+    if (ispe > 0 && ispe + 16 <= buf.length) {
+      return {
+        width: buf.readUInt32BE(ispe + 8),
+        height: buf.readUInt32BE(ispe + 12),
+      };
+    }
+  }
+  return null;
+}
+
+async function fetchImage(url, timeout) {
+  try {
+    const res = await axios.get(url, {
+      timeout,
+      validateStatus: null,
+      responseType: "stream",
+    });
+    const mimeType = (res.headers["content-type"] || "").split(";")[0].trim();
+    const declaredBytes = Number(res.headers["content-length"]) || null;
+    if (res.status >= 400) {
+      res.data.destroy();
+      return { status: res.status, broken: true };
+    }
+
+    // Count the bytes, keeping only the start of the file for the header
+    const head = [];
+    let headBytes = 0;
+    let bytes = 0;
+    await new Promise((resolve, reject) => {
+      res.data.on("data", (chunk) => {
+        bytes += chunk.length;
+        if (headBytes < HEADER_BYTES) {
+          head.push(chunk);
+          headBytes += chunk.length;
+        }
+        if (bytes > MAX_IMAGE_BYTES) {
+          res.data.destroy();
+          resolve();
+        }
+      });
+      res.data.on("end", resolve);
+      res.data.on("error", reject);
+    });
+
+    return {
+      status: res.status,
+      broken: false,
+      mimeType,
+      bytes: bytes > MAX_IMAGE_BYTES ? declaredBytes || bytes : bytes,
+      dimensions: readImageDimensions(Buffer.concat(head)),
+    };
+  } catch (err) {
+    return { status: err.code || "error", broken: true };
+  }
+}
+
+// Returns inspect(url) -> Promise<{ status, broken, mimeType, bytes,
+// dimensions }>, cached for the whole crawl like the resource checks
+export function createImageInspector({ timeout = 10000 } = {}) {
+  return createCachedCheck((url) => fetchImage(url, timeout));
+}
+
+// One Image Optimization row for an image on a page. rendered comes from
+// the browser: { width, height, aboveFold } in CSS pixels.
+export function auditImage({ page, src, attrs, rendered, image }) {
+  const issues = [];
+  const { dimensions } = image;
+
+  if (image.bytes > OVERSIZED_IMAGE_BYTES) {
+    issues.push(
+      `Large file (${Math.round(image.bytes / 1024)}KB > ${
+        OVERSIZED_IMAGE_BYTES / 1024
+      }KB)`
+    );
+  }
+  if (
+    dimensions &&
+    rendered?.width > 0 &&
+    dimensions.width > rendered.width * OVERSCALED_RATIO
+  ) {
+    issues.push(
+      `Served at ${dimensions.width}px wide but displayed at ${rendered.width}px`
+    );
+  }
+  if (!attrs.width || !attrs.height) {
+    issues.push("Missing width/height attributes (layout shift risk)");
+  }
+  if (attrs.loading === "lazy" && rendered?.aboveFold) {
+    issues.push('Above-the-fold image uses loading="lazy"');
+  }
+
+  return {
+    page,
+    src,
+    mimeType: image.mimeType,
+    fileSizeKB: Number((image.bytes / 1024).toFixed(1)),
+    modernFormat: MODERN_FORMATS.includes(image.mimeType) ? "Yes" : "No",
+    intrinsicSize: dimensions ? `${dimensions.width}x${dimensions.height}` : "",
+    renderedSize: rendered?.width ? `${rendered.width}x${rendered.height}` : "",
+    aboveFold: rendered?.aboveFold ? "Yes" : "No",
+    loading: attrs.loading || "",
+    issues: issues.join("; ") || "None",
+  };
+}
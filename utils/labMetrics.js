@@ -0,0 +1,141 @@
+// Lab performance metrics from the Puppeteer page the crawler already has
+// open: Navigation Timing, paint timings, LCP and CLS from
+// PerformanceObserver, and request counts and transfer sizes.
+
+const MAX_LOAD_WAIT = 5000; // ms to wait for the load event after DOMContentLoaded
+
+// Upper bounds for "Good" and "Needs improvement", as published on web.dev
+const THRESHOLDS = {
+  ttfb: [800, 1800],
+  fcp: [1800, 3000],
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+};
+
+export function rateMetric(name, value) {
+  if (value === null || value === undefined) return "";
+  const [good, needsImprovement] = THRESHOLDS[name];
+  if (value <= good) return "Good";
+  return value <= needsImprovement ? "Needs improvement" : "Poor";
+}
+
+// Runs in the page before any of its own scripts, see
+// page.evaluateOnNewDocument(). CLS uses the largest session window
+// (shifts less than 1s apart, 5s at most), like Chrome does.
+export function observeWebVitals() {
+  const vitals = { lcp: null, cls: 0 };
+  window.__crawlVitals = vitals;
+  let windowValue = 0;
+  let windowEntries = [];
+  try {
+    new PerformanceObserver((list) => {
+      const entries = list.getEntries();
+      vitals.lcp = entries[entries.length - 1].startTime;
+    }).observe({ type: "largest-contentful-paint", buffered: true });
+
+    new PerformanceObserver((list) => {
+      list.getEntries().forEach((entry) => {
+        if (entry.hadRecentInput) return;
+        const first = windowEntries[0];
+        const last = windowEntries[windowEntries.length - 1];
+        if (
+          last &&
+          entry.startTime - last.startTime < 1000 &&
+          entry.startTime - first.startTime < 5000
+        ) {
+          windowValue += entry.value;
+          windowEntries.push(entry);
+        } else {
+          windowValue = entry.value;
+          windowEntries = [entry];
+        }
+        vitals.cls = Math.max(vitals.cls, windowValue);
+      });
+    }).observe({ type: "layout-shift", buffered: true });
+  } catch {
+    // Browsers without these entry types just report no LCP/CLS
+  }
+}
+
+// Read the metrics once the page has loaded (or MAX_LOAD_WAIT passed).
+// Returns null if the page could not be measured.
+export async function collectLabMetrics(page) {
+  const metrics = await page
+    .evaluate(async (wait) => {
+      if (document.readyState !== "complete") {
+        await new Promise((resolve) => {
+          window.addEventListener("load", () => setTimeout(resolve), {
+            once: true,
+          });
+          setTimeout(resolve, wait);
+        });
+      }
+      const nav = performance.getEntriesByType("navigation")[0];
+      const fcp = performance.getEntriesByName("first-contentful-paint")[0];
+      const resources = performance.getEntriesByType("resource");
+      const vitals = window.__crawlVitals || {};
+      return {
+        ttfb: nav ? nav.responseStart : null,
+        fcp: fcp ? fcp.startTime : null,
+        domContentLoaded: nav ? nav.domContentLoadedEventEnd : null,
+        load: nav && nav.loadEventEnd > 0 ? nav.loadEventEnd : null,
+        lcp: vitals.lcp ?? null,
+        cls: vitals.cls ?? null,
+        requests: resources.length + 1,
+        // Cross-origin resources without Timing-Allow-Origin report 0
+        transferSize: resources.reduce(
+          (total, resource) => total + (resource.transferSize || 0),
+          nav ? nav.transferSize : 0
+        ),
+      };
+    }, MAX_LOAD_WAIT)
+    .catch(() => null);
+  return metrics && typeof metrics === "object" ? metrics : null;
+}
+
+const ms = (value) => (value === null ? "" : Math.round(value));
+
+// Rows for the Performance Metrics and Web Core Vitals sheets
+export function buildPerformanceRows(url, metrics) {
+  const cls = metrics.cls === null ? null : Number(metrics.cls.toFixed(3));
+  const ratings = {
+    ttfb: rateMetric("ttfb", metrics.ttfb),
+    fcp: rateMetric("fcp", metrics.fcp),
+    lcp: rateMetric("lcp", metrics.lcp),
+    cls: rateMetric("cls", cls),
+  };
+  // The page is rated by its worst Core Web Vital
+  const overall = [ratings.lcp, ratings.cls].includes("Poor")
+    ? "Poor"
+    : [ratings.lcp, ratings.cls].includes("Needs improvement")
+    ? "Needs improvement"
+    : ratings.lcp || ratings.cls
+    ? "Good"
+    : "";
+
+  return {
+    performance: {
+      url,
+      ttfb: ms(metrics.ttfb),
+      firstContentfulPaint: ms(metrics.fcp),
+      domContentLoaded: ms(metrics.domContentLoaded),
+      loadTime: ms(metrics.load),
+      lcp: ms(metrics.lcp),
+      cls: cls ?? "",
+      requests: metrics.requests,
+      transferSizeKB: Number((metrics.transferSize / 1024).toFixed(1)),
+      rating: overall,
+    },
+    vitals: {
+      url,
+      lcp: ms(metrics.lcp),
+      lcpStatus: ratings.lcp,
+      cls: cls ?? "",
+      clsStatus: ratings.cls,
+      fcp: ms(metrics.fcp),
+      fcpStatus: ratings.fcp,
+      ttfb: ms(metrics.ttfb),
+      ttfbStatus: ratings.ttfb,
+    },
+  };
+}
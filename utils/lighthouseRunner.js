@@ -0,0 +1,76 @@
+import { fork } from "child_process";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Opt-in Lighthouse stage, run after the main crawl on a small sample of
+// pages so it never slows down page crawling.
+
+const WORKER_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "lighthouseWorker.js"
+);
+const MAX_SECONDS_PER_URL = 90; // The worker is killed after this per URL
+
+// Pages with the same first path segment and depth share a template, e.g.
+// /blog/post-a and /blog/post-b are both "/blog/*"
+function templateOf(url) {
+  const segments = new URL(url).pathname.split("/").filter(Boolean);
+  if (segments.length === 0) return "/";
+  return "/" + [segments[0], ...segments.slice(1).map(() => "*")].join("/");
+}
+
+// Homepage first, then the most linked page of each template, then the
+// most linked pages overall until sampleSize is reached. pages are Internal
+// Link Graph rows ({ url, inlinks }) of successfully crawled URLs.
+export function selectLighthouseSample({ homepage, pages, sampleSize }) {
+  const byInlinks = [...pages].sort((a, b) => b.inlinks - a.inlinks);
+  // The start URL may have redirected or failed
+  const hasHomepage = pages.some((page) => page.url === homepage);
+  const sample = new Set(hasHomepage ? [homepage] : []);
+
+  const templates = new Set(hasHomepage ? [templateOf(homepage)] : []);
+  byInlinks.forEach(({ url }) => {
+    const template = templateOf(url);
+    if (!templates.has(template)) {
+      templates.add(template);
+      sample.add(url);
+    }
+  });
+  byInlinks.forEach(({ url }) => sample.add(url));
+
+  return [...sample].slice(0, sampleSize);
+}
+
+// Run Lighthouse on urls in a separate process with its own Chrome.
+// Resolves with { url -> scores } for the pages that could be analysed;
+// failures are logged and skipped.
+export function runLighthouseStage(urls, { timeout }) {
+  return new Promise((resolve) => {
+    const results = new Map();
+    const worker = fork(WORKER_PATH, [], { stdio: "inherit" });
+    const killTimer = setTimeout(() => {
+      console.log("⏱️ Lighthouse stage timed out, keeping partial results");
+      worker.kill();
+    }, urls.length * MAX_SECONDS_PER_URL * 1000);
+
+    worker.on("message", (message) => {
+      if (message.type === "result") {
+        console.log(`🔦 Lighthouse finished ${message.url}`);
+        results.set(message.url, message.scores);
+      } else if (message.type === "error") {
+        console.log(
+          `❌ Lighthouse failed for ${message.url}: ${message.error}`
+        );
+      }
+    });
+    worker.on("error", (err) => {
+      console.log(`❌ Lighthouse worker failed: ${err.message}`);
+    });
+    worker.on("exit", () => {
+      clearTimeout(killTimer);
+      resolve(results);
+    });
+
+    worker.send({ urls, timeout });
+  });
+}
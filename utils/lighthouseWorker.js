@@ -0,0 +1,116 @@
+// Child process that runs Lighthouse in its own Chrome, started by
+// runLighthouseStage() in lighthouseRunner.js. Keeping Lighthouse out of the
+// server process means its memory is freed when the worker exits.
+//
+// Receives { urls, timeout } and replies with one { type: "result" } or
+// { type: "error" } message per URL, then { type: "done" }.
+import fs from "fs";
+import lighthouse from "lighthouse";
+import { launch } from "chrome-launcher";
+import puppeteer from "puppeteer";
+
+const lighthouseConfig = {
+  extends: "lighthouse:default",
+  settings: {
+    onlyCategories: ["performance", "accessibility", "best-practices", "seo"],
+    formFactor: "desktop",
+    throttling: {
+      rttMs: 40,
+      throughputKbps: 10240,
+      cpuSlowdownMultiplier: 1,
+      requestLatencyMs: 0,
+      downloadThroughputKbps: 0,
+      uploadThroughputKbps: 0,
+    },
+    screenEmulation: {
+      mobile: false,
+      width: 1350,
+      height: 940,
+      deviceScaleFactor: 1,
+      disabled: false,
+    },
+    emulatedUserAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+  },
+};
+
+// Prefer a system Chrome, fall back to the one Puppeteer downloaded
+function findChrome() {
+  const possiblePaths = [
+    process.env.CHROME_PATH,
+    "/usr/bin/google-chrome-stable", // Docker Chrome path
+    "/usr/bin/google-chrome",
+    "/usr/bin/chromium-browser",
+    "/usr/bin/chromium",
+    "/opt/google/chrome/chrome",
+  ];
+  if (process.platform === "win32") {
+    possiblePaths.push(
+      "C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe",
+      "C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe",
+      process.env.LOCALAPPDATA + "\\Google\\Chrome\\Application\\chrome.exe"
+    );
+  }
+  possiblePaths.push(puppeteer.executablePath());
+  // undefined lets chrome-launcher look for an installed Chrome itself
+  return possiblePaths.find((path) => path && fs.existsSync(path));
+}
+
+const score = (category) =>
+  category?.score == null ? "" : Math.round(category.score * 100);
+const numeric = (audit) =>
+  audit?.numericValue == null ? "" : Math.round(audit.numericValue);
+
+async function analyze(url, port, timeout) {
+  const { lhr } = await lighthouse(
+    url,
+    { port, output: "json", logLevel: "error", maxWaitForLoad: timeout },
+    lighthouseConfig
+  );
+  if (lhr.runtimeError) {
+    throw new Error(lhr.runtimeError.message);
+  }
+  return {
+    performanceScore: score(lhr.categories.performance),
+    accessibilityScore: score(lhr.categories.accessibility),
+    bestPracticesScore: score(lhr.categories["best-practices"]),
+    seoScore: score(lhr.categories.seo),
+    speedIndex: numeric(lhr.audits["speed-index"]),
+    totalBlockingTime: numeric(lhr.audits["total-blocking-time"]),
+  };
+}
+
+process.once("message", async ({ urls, timeout }) => {
+  let chrome = null;
+  try {
+    chrome = await launch({
+      chromePath: findChrome(),
+      chromeFlags: [
+        "--headless=new",
+        "--no-sandbox",
+        "--disable-gpu",
+        "--disable-dev-shm-usage", // Reduce memory usage
+        "--disable-extensions",
+      ],
+    });
+    for (const url of urls) {
+      try {
+        const scores = await analyze(url, chrome.port, timeout);
+        process.send({ type: "result", url, scores });
+      } catch (err) {
+        process.send({ type: "error", url, error: err.message });
+      }
+    }
+  } catch (err) {
+    urls.forEach((url) =>
+      process.send({ type: "error", url, error: err.message })
+    );
+  } finally {
+    if (chrome) {
+      try {
+        await chrome.kill();
+      } catch {}
+    }
+    process.send({ type: "done" }, () => process.exit(0));
+  }
+});
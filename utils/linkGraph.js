@@ -0,0 +1,108 @@
+// Internal link graph metrics: inlinks, outlinks, click depth from the start
+// URL, internal PageRank, and orphan and deep pages.
+
+const DAMPING_FACTOR = 0.85;
+const PAGERANK_ITERATIONS = 30;
+
+// graph: Map of page URL -> internal URLs it links to (crawled pages only).
+// redirects: Map of redirecting URL -> final URL, so links to a redirect
+// count for its target. sitemapUrls: Set of URLs listed in sitemaps.
+export function analyzeLinkGraph({
+  graph,
+  startUrl,
+  redirects = new Map(),
+  sitemapUrls = new Set(),
+  deepPageThreshold,
+}) {
+  const resolve = (url) => redirects.get(url) || url;
+  const nodes = [...graph.keys()];
+  const nodeSet = new Set(nodes);
+
+  // Unique linking pages per target, for every linked URL
+  const inlinks = new Map();
+  const edges = new Map(); // page -> resolved crawled targets
+  for (const [from, targets] of graph) {
+    const resolved = new Set();
+    targets.forEach((to) => {
+      if (to === from) return;
+      for (const url of new Set([to, resolve(to)])) {
+        if (!inlinks.has(url)) inlinks.set(url, new Set());
+        inlinks.get(url).add(from);
+      }
+      if (nodeSet.has(resolve(to)) && resolve(to) !== from) {
+        resolved.add(resolve(to));
+      }
+    });
+    edges.set(from, [...resolved]);
+  }
+
+  // Click depth: breadth-first from where the start URL ends up, e.g. "/"
+  // redirecting to "/en/"
+  const homepage = resolve(startUrl);
+  const depths = new Map([[homepage, 0]]);
+  const frontier = [homepage];
+  while (frontier.length > 0) {
+    const url = frontier.shift();
+    (edges.get(url) || []).forEach((to) => {
+      if (!depths.has(to)) {
+        depths.set(to, depths.get(url) + 1);
+        frontier.push(to);
+      }
+    });
+  }
+
+  // PageRank, with dangling pages spreading their score evenly
+  const n = nodes.length || 1;
+  let ranks = new Map(nodes.map((url) => [url, 1 / n]));
+  for (let i = 0; i < PAGERANK_ITERATIONS; i++) {
+    const dangling = nodes
+      .filter((url) => edges.get(url).length === 0)
+      .reduce((sum, url) => sum + ranks.get(url), 0);
+    const next = new Map(
+      nodes.map((url) => [
+        url,
+        (1 - DAMPING_FACTOR) / n + (DAMPING_FACTOR * dangling) / n,
+      ])
+    );
+    nodes.forEach((url) => {
+      const targets = edges.get(url);
+      targets.forEach((to) => {
+        next.set(
+          to,
+          next.get(to) + (DAMPING_FACTOR * ranks.get(url)) / targets.length
+        );
+      });
+    });
+    ranks = next;
+  }
+  const maxRank = Math.max(...ranks.values(), 0) || 1;
+
+  const row = (url) => {
+    const depth = depths.get(url);
+    const linkedFrom = inlinks.get(url)?.size || 0;
+    const issues = [];
+    if (sitemapUrls.has(url) && linkedFrom === 0 && url !== homepage) {
+      issues.push("Orphan page (in sitemap, no internal links)");
+    }
+    if (depth > deepPageThreshold) {
+      issues.push(`Click depth ${depth} is deeper than ${deepPageThreshold}`);
+    }
+    return {
+      url,
+      inlinks: linkedFrom,
+      outlinks: graph.get(url)?.length || 0,
+      clickDepth: depth ?? "Not linked",
+      pageRank: nodeSet.has(url)
+        ? Number(((ranks.get(url) / maxRank) * 100).toFixed(2))
+        : "",
+      inSitemap: sitemapUrls.has(url) ? "Yes" : "No",
+      issues: issues.join("; ") || "None",
+    };
+  };
+
+  // Orphans that were never crawled still get a row
+  const orphans = [...sitemapUrls].filter(
+    (url) => !nodeSet.has(url) && !inlinks.has(url) && !redirects.has(url)
+  );
+  return [...nodes, ...orphans].map(row);
+}
@@ -0,0 +1,78 @@
+import { extractParitySnapshot } from "./deviceParity.js";
+
+// JavaScript SEO: compares the HTML the server sent with the DOM after
+// rendering, to show which SEO elements only exist once JavaScript has run.
+// Crawlers that don't render (or render later) only see the raw HTML.
+
+// A raw page with less visible text than this and no links is an app shell
+const MIN_RAW_WORDS = 50;
+
+export function extractRenderSnapshot($, pageUrl, isInternal) {
+  return {
+    ...extractParitySnapshot($, pageUrl, isInternal),
+    robots: $('meta[name="robots"]').attr("content") || "",
+  };
+}
+
+// True when static HTML has (almost) no content of its own, e.g. an empty
+// <div id="root"> waiting for a client-side framework
+export function isEmptyRawHtml(snapshot) {
+  return (
+    snapshot.wordCount < MIN_RAW_WORDS && snapshot.internalLinks.size === 0
+  );
+}
+
+function compareElement(raw, rendered) {
+  if (raw === rendered) return raw ? "Same" : "Missing";
+  if (!raw) return "Only after rendering";
+  if (!rendered) return "Removed by JavaScript";
+  return "Changed by JavaScript";
+}
+
+const ELEMENTS = {
+  title: (snapshot) => snapshot.title,
+  metaDescription: (snapshot) => snapshot.description,
+  canonical: (snapshot) => snapshot.canonical,
+  robotsMeta: (snapshot) => snapshot.robots,
+  h1: (snapshot) => snapshot.h1s.join(" | "),
+  internalLinks: (snapshot) => [...snapshot.internalLinks].sort().join(" "),
+  jsonLd: (snapshot) => [...snapshot.structuredData].sort().join(", "),
+};
+
+// One JavaScript Rendering row for a page
+export function compareRawAndRendered(url, raw, rendered) {
+  const statuses = Object.fromEntries(
+    Object.entries(ELEMENTS).map(([name, read]) => [
+      name,
+      compareElement(read(raw), read(rendered)),
+    ])
+  );
+  const linksOnlyAfterRendering = [...rendered.internalLinks].filter(
+    (link) => !raw.internalLinks.has(link)
+  ).length;
+
+  const issues = [];
+  // Pages that are just as short after rendering are simply short
+  if (isEmptyRawHtml(raw) && !isEmptyRawHtml(rendered)) {
+    issues.push("Raw HTML is essentially empty (client-side rendered)");
+  }
+  const withStatus = (...wanted) =>
+    Object.keys(statuses).filter((name) => wanted.includes(statuses[name]));
+  const renderedOnly = withStatus("Only after rendering");
+  if (renderedOnly.length > 0) {
+    issues.push(`Only after rendering: ${renderedOnly.join(", ")}`);
+  }
+  const changed = withStatus("Changed by JavaScript", "Removed by JavaScript");
+  if (changed.length > 0) {
+    issues.push(`Changed during rendering: ${changed.join(", ")}`);
+  }
+
+  return {
+    url,
+    rawWordCount: raw.wordCount,
+    renderedWordCount: rendered.wordCount,
+    ...statuses,
+    linksOnlyAfterRendering,
+    issues: issues.join("; ") || "None",
+  };
+}
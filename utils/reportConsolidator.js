@@ -3,6 +3,7 @@ import PDFDocument from "pdfkit";
 import fs from "fs";
 import path from "path";
 import puppeteer from "puppeteer";
+import { screenshotDirFor } from "./screenshots.js";
 
 // Function to read all Excel files from the reports directory
 export function getAllReportFiles(reportsDir = "reports") {
@@ -17,6 +18,11 @@ export function getAllReportFiles(reportsDir = "reports") {
     .map((file) => path.join(fullPath, file));
 }
 
+// Lab rating of a Performance Metrics row (Good, Needs improvement, Poor)
+function performanceRating(metric) {
+  return metric.RATING || metric.rating || "";
+}
+
 // Function to extract data from a single Excel file
 export function extractReportData(filePath) {
   try {
@@ -233,12 +239,13 @@ export function generateActionableInsights(consolidatedData) {
 
   // Analyze performance issues
   const performanceIssues = consolidatedData.performanceMetrics.filter(
-    (metric) => (metric.performanceScore || 0) < 70
+    (metric) =>
+      ["Poor", "Needs improvement"].includes(performanceRating(metric))
   );
   if (performanceIssues.length > 0) {
     insights.high.push({
       title: "Performance Issues",
-      description: `${performanceIssues.length} pages with poor performance scores`,
+      description: `${performanceIssues.length} pages with poor Core Web Vitals`,
       action: "Optimize page speed and Core Web Vitals for better rankings",
       count: performanceIssues.length,
     });
@@ -461,65 +468,31 @@ export function generatePDFReport(consolidatedData, insights) {
           .fillColor("#374151")
           .text("Performance Analysis");
 
-        const avgPerformance =
-          consolidatedData.performanceMetrics.reduce(
-            (sum, metric) => sum + (metric.performanceScore || 0),
-            0
-          ) / consolidatedData.performanceMetrics.length;
+        const ratedPages = (rating) =>
+          consolidatedData.performanceMetrics.filter(
+            (m) => performanceRating(m) === rating
+          ).length;
+        const goodPages = ratedPages("Good");
 
         doc
           .fontSize(10)
           .font("Helvetica")
           .fillColor("#6b7280")
-          .text(`Average Performance Score: ${avgPerformance.toFixed(1)}/100`);
+          .text(
+            `Pages with good Core Web Vitals: ${goodPages} of ${consolidatedData.performanceMetrics.length}`
+          );
 
         const performanceTable = [
-          ["Performance Range", "Pages", "Percentage"],
-          [
-            "Excellent (90-100)",
-            consolidatedData.performanceMetrics
-              .filter((m) => (m.performanceScore || 0) >= 90)
-              .length.toString(),
-            `${(
-              (consolidatedData.performanceMetrics.filter(
-                (m) => (m.performanceScore || 0) >= 90
-              ).length /
-                consolidatedData.performanceMetrics.length) *
-              100
-            ).toFixed(1)}%`,
-          ],
-          [
-            "Good (70-89)",
-            consolidatedData.performanceMetrics
-              .filter(
-                (m) =>
-                  (m.performanceScore || 0) >= 70 &&
-                  (m.performanceScore || 0) < 90
-              )
-              .length.toString(),
-            `${(
-              (consolidatedData.performanceMetrics.filter(
-                (m) =>
-                  (m.performanceScore || 0) >= 70 &&
-                  (m.performanceScore || 0) < 90
-              ).length /
-                consolidatedData.performanceMetrics.length) *
-              100
-            ).toFixed(1)}%`,
-          ],
-          [
-            "Needs Improvement (0-69)",
-            consolidatedData.performanceMetrics
-              .filter((m) => (m.performanceScore || 0) < 70)
-              .length.toString(),
+          ["Core Web Vitals", "Pages", "Percentage"],
+          ...["Good", "Needs improvement", "Poor"].map((rating) => [
+            rating,
+            ratedPages(rating).toString(),
             `${(
-              (consolidatedData.performanceMetrics.filter(
-                (m) => (m.performanceScore || 0) < 70
-              ).length /
+              (ratedPages(rating) /
                 consolidatedData.performanceMetrics.length) *
               100
             ).toFixed(1)}%`,
-          ],
+          ]),
         ];
 
         drawTable(doc, performanceTable, 50, doc.y + 20);
@@ -1100,7 +1073,7 @@ async function generateIndividualPDFReport(domain, reportPath) {
           </div>
           
           <div class="content">
-            ${generateComprehensiveDataSections(allData, domain)}
+            ${generateComprehensiveDataSections(allData, domain, reportPath)}
           </div>
           
           <div class="footer">
@@ -1184,12 +1157,17 @@ async function generateIndividualPDFReport(domain, reportPath) {
   }
 }
 
-function generateComprehensiveDataSections(allData, domain) {
+function generateComprehensiveDataSections(allData, domain, reportPath) {
   let sections = "";
 
   // Executive Summary
   sections += generateExecutiveSummary(allData, domain);
 
+  // Screenshots of the pages with the most issues
+  if (allData["Screenshots"]) {
+    sections += generateScreenshotsSection(allData, reportPath);
+  }
+
   // SEO Information
   if (allData["SEO Info"]) {
     sections += generateSEOInfoSection(allData["SEO Info"]);
@@ -1205,6 +1183,16 @@ function generateComprehensiveDataSections(allData, domain) {
     sections += generateTechnicalSEOSection(allData["Technical SEO"]);
   }
 
+  // Indexability
+  if (allData["Indexability"]) {
+    sections += generateIndexabilitySection(allData["Indexability"]);
+  }
+
+  // Hreflang
+  if (allData["Hreflang"]) {
+    sections += generateHreflangSection(allData["Hreflang"]);
+  }
+
   // Working Links
   if (allData["Working Links"]) {
     sections += generateWorkingLinksSection(allData["Working Links"]);
@@ -1241,6 +1229,83 @@ function generateComprehensiveDataSections(allData, domain) {
   return sections;
 }
 
+// Sheets with one row per issue on the page in their URL or PAGE column.
+// Rows whose ISSUES column says "None" are not issues.
+const PAGE_ISSUE_SHEETS = [
+  "Missing SEO Issues",
+  "Accessibility Issues",
+  "Missing Anchors",
+  "Duplicate Content",
+  "Image Optimization",
+  "JavaScript Rendering",
+  "Mobile vs Desktop",
+];
+const MAX_THUMBNAILS = 6;
+
+function generateScreenshotsSection(allData, reportPath) {
+  const issueCounts = new Map();
+  PAGE_ISSUE_SHEETS.forEach((sheetName) => {
+    (allData[sheetName] || []).forEach((row) => {
+      const url = row.URL || row.PAGE;
+      if (!url || row.ISSUES === "None") return;
+      issueCounts.set(url, (issueCounts.get(url) || 0) + 1);
+    });
+  });
+
+  // Desktop screenshots first, they are the most recognisable
+  const screenshotDir = screenshotDirFor(reportPath);
+  const screenshots = [...allData["Screenshots"]].sort(
+    (a, b) =>
+      (a.DEVICE === "desktop" ? 0 : 1) - (b.DEVICE === "desktop" ? 0 : 1)
+  );
+  const pages = [...issueCounts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([url, issues]) => ({
+      url,
+      issues,
+      screenshot: screenshots.find(
+        (row) =>
+          row.URL === url && fs.existsSync(path.join(screenshotDir, row.FILE))
+      ),
+    }))
+    .filter((page) => page.screenshot)
+    .slice(0, MAX_THUMBNAILS);
+
+  if (pages.length === 0) return "";
+
+  return `
+    <div class="section">
+      <h2>Pages With the Most Issues</h2>
+      <p style="margin-bottom: 15px; color: #374151; font-size: 13px;">
+        Above-the-fold screenshots of the <strong>${
+          pages.length
+        }</strong> pages with the most issues:
+      </p>
+
+      <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px;">
+        ${pages
+          .map(({ url, issues, screenshot }) => {
+            const image = fs
+              .readFileSync(path.join(screenshotDir, screenshot.FILE))
+              .toString("base64");
+            return `
+            <div style="border: 1px solid #e5e7eb; border-radius: 8px; overflow: hidden; page-break-inside: avoid;">
+              <img src="data:image/jpeg;base64,${image}" style="width: 100%; display: block; border-bottom: 1px solid #e5e7eb;" />
+              <div style="padding: 8px 10px; font-size: 12px;">
+                <div class="url-display">${url}</div>
+                <div style="color: #dc2626; font-weight: 600;">${issues} issue${
+              issues === 1 ? "" : "s"
+            } (${screenshot.DEVICE})</div>
+              </div>
+            </div>
+          `;
+          })
+          .join("")}
+      </div>
+    </div>
+  `;
+}
+
 function generateExecutiveSummary(allData, domain) {
   const totalPages = allData["SEO Info"] ? allData["SEO Info"].length : 0;
   const workingLinks = allData["Working Links"]
@@ -1924,6 +1989,158 @@ function generateTechnicalSEOSection(technicalSEO) {
   `;
 }
 
+function generateIndexabilitySection(indexability) {
+  if (!indexability || indexability.length === 0) {
+    return "";
+  }
+
+  const verdictCounts = {};
+  indexability.forEach((row) => {
+    const verdict = row.INDEXABILITY || row.indexability || "Unknown";
+    verdictCounts[verdict] = (verdictCounts[verdict] || 0) + 1;
+  });
+  const nonIndexable = indexability.filter(
+    (row) => (row.INDEXABLE || row.indexable) !== "Yes"
+  );
+
+  return `
+    <div class="section">
+      <h2>Indexability Analysis</h2>
+      <p style="margin-bottom: 15px; color: #374151; font-size: 13px;">
+        <strong>${
+          indexability.length - nonIndexable.length
+        }</strong> of <strong>${
+    indexability.length
+  }</strong> URLs can be indexed by search engines:
+      </p>
+
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 20px;">
+        ${Object.entries(verdictCounts)
+          .map(
+            ([verdict, count]) => `
+        <div class="issue-item ${
+          verdict === "Indexable" ? "success" : "warning"
+        }">
+          <div class="issue-title">${verdict}</div>
+          <div class="issue-details">${count} URLs</div>
+        </div>`
+          )
+          .join("")}
+      </div>
+
+      ${
+        nonIndexable.length > 0
+          ? `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th style="width: 5%;">#</th>
+            <th class="url-column">URL</th>
+            <th style="width: 10%;">Status</th>
+            <th style="width: 20%;">Verdict</th>
+            <th style="width: 25%;">Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${nonIndexable
+            .slice(0, 50)
+            .map((row, index) => {
+              const url = row.URL || row.url || "";
+              return `
+              <tr>
+                <td>${index + 1}</td>
+                <td class="url-display">${url}</td>
+                <td>${row.STATUS || row.status || "-"}</td>
+                <td><span class="status-badge status-warning">${
+                  row.INDEXABILITY || row.indexability
+                }</span></td>
+                <td>${row.REASON || row.reason || ""}</td>
+              </tr>
+            `;
+            })
+            .join("")}
+          ${
+            nonIndexable.length > 50
+              ? `<tr><td colspan="5" style="text-align: center; color: #6b7280; font-style: italic;">... and ${
+                  nonIndexable.length - 50
+                } more non-indexable URLs</td></tr>`
+              : ""
+          }
+        </tbody>
+      </table>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+function generateHreflangSection(hreflang) {
+  if (!hreflang || hreflang.length === 0) {
+    return "";
+  }
+
+  const pagesWithIssues = hreflang.filter(
+    (row) => (row.ISSUES || row.issues || "None") !== "None"
+  );
+
+  return `
+    <div class="section">
+      <h2>Hreflang Analysis</h2>
+      <p style="margin-bottom: 15px; color: #374151; font-size: 13px;">
+        <strong>${
+          hreflang.length
+        }</strong> pages have hreflang annotations, <strong>${
+    pagesWithIssues.length
+  }</strong> of them with problems:
+      </p>
+
+      ${
+        pagesWithIssues.length === 0
+          ? `
+      <div class="issue-item success">
+        <div class="issue-title">✅ Hreflang annotations are valid</div>
+        <div class="issue-details">Every annotated page has valid codes, return links, a self-reference and an x-default.</div>
+      </div>`
+          : `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th style="width: 5%;">#</th>
+            <th class="url-column">Page URL</th>
+            <th style="width: 15%;">Hreflang Codes</th>
+            <th style="width: 40%;">Issues</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${pagesWithIssues
+            .slice(0, 50)
+            .map(
+              (row, index) => `
+              <tr>
+                <td>${index + 1}</td>
+                <td class="url-display">${row.URL || row.url || ""}</td>
+                <td>${row.HREFLANGS || row.hreflangs || ""}</td>
+                <td>${(row.ISSUES || row.issues || "")
+                  .split("; ")
+                  .join("<br>")}</td>
+              </tr>
+            `
+            )
+            .join("")}
+          ${
+            pagesWithIssues.length > 50
+              ? `<tr><td colspan="4" style="text-align: center; color: #6b7280; font-style: italic;">... and ${
+                  pagesWithIssues.length - 50
+                } more pages with hreflang issues</td></tr>`
+              : ""
+          }
+        </tbody>
+      </table>`
+      }
+    </div>
+  `;
+}
+
 function generateWorkingLinksSection(workingLinks) {
   if (!workingLinks || workingLinks.length === 0) {
     return `
@@ -2069,12 +2286,18 @@ function generateExternalLinksSection(externalLinks) {
           <tr>
             <th style="width: 5%;">#</th>
             <th class="url-column">External Link URL</th>
-            <th style="width: 15%;">Type</th>
+            <th style="width: 15%;">Linked From</th>
             <th style="width: 15%;">Status</th>
           </tr>
         </thead>
         <tbody>
-          ${externalLinks
+          ${[...externalLinks]
+            // Broken and redirecting links first
+            .sort(
+              (a, b) =>
+                ((b.ISSUE || b.issue || "None") !== "None") -
+                ((a.ISSUE || a.issue || "None") !== "None")
+            )
             .slice(0, 50)
             .map((link, index) => {
               // Try multiple possible column names for external links
@@ -2088,12 +2311,15 @@ function generateExternalLinksSection(externalLinks) {
                 link.external_url ||
                 link.EXTERNAL_URL ||
                 "";
-              const type =
-                link.TYPE ||
-                link.type ||
-                link.linkType ||
-                link.LINKTYPE ||
-                "External";
+              const linkedFrom = link.LINKEDFROM || link.linkedFrom || 1;
+              const status = link.STATUS || link.status || "";
+              const issue = link.ISSUE || link.issue || "None";
+              const statusClass =
+                issue === "None"
+                  ? "status-success"
+                  : issue === "Redirects"
+                  ? "status-warning"
+                  : "status-error";
 
               return `
               <tr>
@@ -2105,8 +2331,10 @@ function generateExternalLinksSection(externalLinks) {
                       : "URL not found"
                   }
                 </td>
-                <td><span class="status-badge status-success">${type}</span></td>
-                <td><span class="status-badge status-success">Active</span></td>
+                <td>${linkedFrom} page${linkedFrom === 1 ? "" : "s"}</td>
+                <td><span class="status-badge ${statusClass}">${status}${
+                issue === "None" ? "" : ` ${issue}`
+              }</span></td>
               </tr>
             `;
             })
@@ -2559,10 +2787,11 @@ function generatePerformanceSection(performanceMetrics) {
           <tr>
             <th>#</th>
             <th>Page URL</th>
+            <th>TTFB (ms)</th>
+            <th>LCP (ms)</th>
+            <th>CLS</th>
             <th>Load Time (ms)</th>
-            <th>Performance Score</th>
-            <th>SEO Score</th>
-            <th>Accessibility Score</th>
+            <th>Requests</th>
             <th>Status</th>
           </tr>
         </thead>
@@ -2570,27 +2799,12 @@ function generatePerformanceSection(performanceMetrics) {
           ${performanceMetrics
             .map((metric, index) => {
               const url = metric.URL || metric.url || "";
-              const loadTime =
-                metric.LOADTIME || metric.loadTime || metric.loadTimeMs || 0;
-              const performanceScore =
-                metric.PERFORMANCESCORE || metric.performanceScore || 0;
-              const seoScore = metric.SEOSCORE || metric.seoScore || 0;
-              const accessibilityScore =
-                metric.ACCESSIBILITYSCORE || metric.accessibilityScore || 0;
-
-              let status = "Good";
-              if (
-                performanceScore < 70 ||
-                seoScore < 70 ||
-                accessibilityScore < 70
-              )
-                status = "Warning";
-              if (
-                performanceScore < 50 ||
-                seoScore < 50 ||
-                accessibilityScore < 50
-              )
-                status = "Critical";
+              const loadTime = metric.LOADTIME ?? metric.loadTime ?? "";
+              const ttfb = metric.TTFB ?? metric.ttfb ?? "";
+              const lcp = metric.LCP ?? metric.lcp ?? "";
+              const cls = metric.CLS ?? metric.cls ?? "";
+              const requests = metric.REQUESTS ?? metric.requests ?? "";
+              const status = performanceRating(metric);
 
               return `
               <tr>
@@ -2598,17 +2812,20 @@ function generatePerformanceSection(performanceMetrics) {
                 <td class="url-display">
                   <a href="${url}" target="_blank" style="color: #3b82f6; text-decoration: underline;">${url}</a>
                 </td>
-                <td>${loadTime}ms</td>
-                <td>${performanceScore}/100</td>
-                <td>${seoScore}/100</td>
-                <td>${accessibilityScore}/100</td>
+                <td>${ttfb}</td>
+                <td>${lcp}</td>
+                <td>${cls}</td>
+                <td>${loadTime}</td>
+                <td>${requests}</td>
                 <td>
                   ${
-                    status === "Critical"
-                      ? '<span class="status-badge status-error">Critical</span>'
-                      : status === "Warning"
-                      ? '<span class="status-badge status-warning">Warning</span>'
-                      : '<span class="status-badge status-success">Good</span>'
+                    status === "Poor"
+                      ? '<span class="status-badge status-error">Poor</span>'
+                      : status === "Needs improvement"
+                      ? '<span class="status-badge status-warning">Needs improvement</span>'
+                      : status === "Good"
+                      ? '<span class="status-badge status-success">Good</span>'
+                      : "Not measured"
                   }
                 </td>
               </tr>
@@ -0,0 +1,51 @@
+import { createCachedCheck, requestStatus } from "./httpCheck.js";
+
+// Crawl-wide cache of image, script and stylesheet checks, so a resource
+// shared by every page (logo, main bundle) is requested once per crawl.
+
+// Servers that refuse HEAD often serve the file to a GET
+const RETRY_WITH_GET = [403, 405, 501];
+
+async function checkResource(url, timeout) {
+  try {
+    let { status } = await requestStatus(url, "HEAD", timeout);
+    if (RETRY_WITH_GET.includes(status)) {
+      ({ status } = await requestStatus(url, "GET", timeout));
+    }
+    return { status, broken: status >= 400 };
+  } catch (err) {
+    return { status: err.code || "error", broken: true };
+  }
+}
+
+// Returns check(url) -> Promise<{ status, broken }>
+export function createResourceChecker({ timeout = 5000 } = {}) {
+  return createCachedCheck((url) => checkResource(url, timeout));
+}
+
+// Per-page { url, resource, type, status } rows -> { resources, pages }:
+// one row per broken resource with the number of pages referencing it, and
+// one row per page and broken resource
+export function groupBrokenResources(rows) {
+  const byResource = new Map();
+  rows.forEach(({ url, resource, type, status }) => {
+    if (!byResource.has(resource)) {
+      byResource.set(resource, { resource, type, status, pages: new Set() });
+    }
+    byResource.get(resource).pages.add(url);
+  });
+
+  const resources = [...byResource.values()].map(
+    ({ resource, type, status, pages }) => ({
+      resource,
+      type,
+      status,
+      pages: pages.size,
+    })
+  );
+  const pages = [...byResource.values()].flatMap(
+    ({ resource, type, status, pages }) =>
+      [...pages].map((page) => ({ resource, type, status, page }))
+  );
+  return { resources, pages };
+}
@@ -0,0 +1,40 @@
+import axios from "axios";
+import robotsParser from "robots-parser";
+
+export const DEFAULT_ROBOTS_USER_AGENT = "CrawlVaani";
+
+// Fetch and parse a site's robots.txt. A missing or unreachable file is
+// parsed as empty, i.e. everything is allowed.
+export async function fetchRobotsTxt(siteUrl, timeout = 15000) {
+  const url = new URL("/robots.txt", siteUrl).href;
+
+  try {
+    const res = await axios.get(url, {
+      validateStatus: null,
+      timeout,
+      responseType: "text",
+    });
+    const content = res.status === 200 ? String(res.data) : "";
+    return {
+      url,
+      status: res.status,
+      found: res.status === 200,
+      content,
+      parser: robotsParser(url, content),
+    };
+  } catch (err) {
+    return {
+      url,
+      status: err.code || "error",
+      found: false,
+      content: "",
+      parser: robotsParser(url, ""),
+    };
+  }
+}
+
+// The robots.txt line responsible for blocking a URL, e.g. "Disallow: /admin"
+export function getBlockingRule(robotsTxt, url, userAgent) {
+  const line = robotsTxt.parser.getMatchingLineNumber(url, userAgent);
+  return line > 0 ? robotsTxt.content.split(/\r?\n/)[line - 1].trim() : "";
+}
@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Above-the-fold page screenshots, one compressed JPEG per page and device.
+// They live in a "-screenshots" folder next to the report and are only
+// served through the token-protected endpoint in server.js, never as static
+// report files.
+
+const SCREENSHOT_WIDTH = 800; // Output pixels, plenty for a thumbnail
+const SCREENSHOT_QUALITY = 60;
+
+export const SCREENSHOT_FILE_PATTERN = /^[0-9a-f]{16}-(desktop|mobile)\.jpg$/;
+
+// Capture the visible viewport scaled down to about SCREENSHOT_WIDTH pixels
+// wide. Returns null if the page could not be captured.
+export async function captureScreenshot(page) {
+  try {
+    const viewport = page.viewport() || { width: 800, height: 600 };
+    const { width, height, deviceScaleFactor = 1 } = viewport;
+    const image = await page.screenshot({
+      type: "jpeg",
+      quality: SCREENSHOT_QUALITY,
+      clip: {
+        x: 0,
+        y: 0,
+        width,
+        height,
+        scale: Math.min(1, SCREENSHOT_WIDTH / (width * deviceScaleFactor)),
+      },
+    });
+    return image?.length ? Buffer.from(image) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function screenshotFileName(url, device) {
+  const hash = crypto.createHash("sha1").update(url).digest("hex");
+  return `${hash.slice(0, 16)}-${device}.jpg`;
+}
+
+// Screenshot folder of a report .xlsx file
+export function screenshotDirFor(reportPath) {
+  return reportPath.replace(/\.xlsx$/, "-screenshots");
+}
+
+// Write a screenshot into the crawl's folder and return its Screenshots
+// sheet row, or null when there was nothing to save
+export async function saveScreenshot(dir, url, device, image) {
+  if (!image) return null;
+  const file = screenshotFileName(url, device);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, file), image);
+  return { url, device, file };
+}
@@ -0,0 +1,71 @@
+import crypto from "crypto";
+
+// 64-bit SimHash over word shingles. Similar texts get fingerprints that
+// differ in only a few bits, so near-duplicates can be found by comparing
+// 16-character hex strings instead of keeping page text in memory.
+
+const SHINGLE_SIZE = 3; // Words per shingle
+
+export function computeSimHash(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const weights = new Array(64).fill(0);
+  const shingleCount = Math.max(1, words.length - SHINGLE_SIZE + 1);
+
+  for (let i = 0; i < shingleCount; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(" ");
+    const digest = crypto.createHash("md5").update(shingle).digest();
+    for (let bit = 0; bit < 64; bit++) {
+      const isSet = (digest[bit >> 3] >> (7 - (bit & 7))) & 1;
+      weights[bit] += isSet ? 1 : -1;
+    }
+  }
+
+  const bytes = Buffer.alloc(8);
+  weights.forEach((weight, bit) => {
+    if (weight > 0) bytes[bit >> 3] |= 1 << (7 - (bit & 7));
+  });
+  return bytes.toString("hex");
+}
+
+function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+export function hammingDistance(a, b) {
+  return (
+    popcount32(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+    popcount32(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16))
+  );
+}
+
+// Similarity as a percentage, 100 for identical fingerprints
+export function simHashSimilarity(a, b) {
+  return Math.round((1 - hammingDistance(a, b) / 64) * 100);
+}
+
+// Group fingerprints ({ url -> hash }) into clusters of pages that are at
+// most maxDistance bits apart, directly or through other pages. Only
+// clusters with two or more pages are returned.
+export function clusterSimHashes(hashes, maxDistance) {
+  const entries = [...hashes];
+  const parent = entries.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (hammingDistance(entries[i][1], entries[j][1]) <= maxDistance) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  entries.forEach(([url], i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(url);
+  });
+  return [...clusters.values()].filter((urls) => urls.length > 1);
+}
@@ -0,0 +1,238 @@
+// XML sitemap audit: fetches every sitemap (robots.txt Sitemap lines,
+// /sitemap.xml, nested indexes, gzip), checks them against the protocol
+// limits and, once the crawl is done, checks the listed URLs against the
+// indexability verdicts.
+
+import axios from "axios";
+import zlib from "zlib";
+import xml2js from "xml2js";
+
+// Limits from the sitemaps.org protocol
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024; // 50MB uncompressed
+const MAX_SITEMAP_URLS = 50000; // Per sitemap, and sitemaps per index
+
+const CHANGEFREQ_VALUES = [
+  "always",
+  "hourly",
+  "daily",
+  "weekly",
+  "monthly",
+  "yearly",
+  "never",
+];
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD or a full date and time with zone
+const W3C_DATETIME =
+  /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+// Problems with the optional fields of a sitemap <url> entry. The URL is
+// compared with the crawled site's host rather than the sitemap's, since
+// sitemaps listed in robots.txt may live on a CDN or another host.
+export function validateSitemapEntry(
+  { url, lastmod, changefreq, priority },
+  siteHost
+) {
+  const issues = [];
+  if (lastmod) {
+    if (!W3C_DATETIME.test(lastmod) || isNaN(Date.parse(lastmod))) {
+      issues.push(`Invalid lastmod "${lastmod}"`);
+    } else if (Date.parse(lastmod) > Date.now() + 24 * 60 * 60 * 1000) {
+      issues.push(`lastmod "${lastmod}" is in the future`);
+    }
+  }
+  if (changefreq && !CHANGEFREQ_VALUES.includes(changefreq.toLowerCase())) {
+    issues.push(`Invalid changefreq "${changefreq}"`);
+  }
+  if (
+    priority &&
+    (!/^(0(\.\d+)?|1(\.0+)?)$/.test(priority) || Number(priority) > 1)
+  ) {
+    issues.push(`Invalid priority "${priority}" (must be 0.0-1.0)`);
+  }
+  try {
+    if (new URL(url).host !== siteHost) {
+      issues.push("URL is on a different host than the crawled site");
+    }
+  } catch {
+    issues.push(`Invalid URL in <loc>: ${url}`);
+  }
+  return issues;
+}
+
+const text = (node) => (node?.[0] ?? "").toString().trim();
+
+// Fetch every sitemap from `sources` (Map of URL -> how it was found),
+// following sitemap indexes and unpacking gzip. Returns one row per sitemap
+// file and one entry per <url>; hreflang annotations go into `alternates`.
+// siteHost is the host of the crawled site.
+export async function fetchSitemaps(
+  sources,
+  { timeout, siteHost, alternates = [] } = {}
+) {
+  const files = [];
+  const entries = [];
+  const seen = new Set();
+
+  async function visit(sitemapUrl, source) {
+    if (seen.has(sitemapUrl)) return;
+    seen.add(sitemapUrl);
+
+    const file = {
+      url: sitemapUrl,
+      status: "",
+      source,
+      type: "",
+      compressed: "No",
+      sizeKB: "",
+      urlCount: 0,
+      issues: [],
+    };
+    files.push(file);
+
+    try {
+      const res = await axios.get(sitemapUrl, {
+        timeout,
+        validateStatus: null,
+        responseType: "arraybuffer",
+      });
+      file.status = res.status;
+      if (res.status !== 200) {
+        file.status = res.status === 404 ? "missing" : res.status;
+        // A missing /sitemap.xml is only a problem if nothing else exists
+        if (source !== "default location") {
+          file.issues.push(`Sitemap returns HTTP ${res.status}`);
+        }
+        return;
+      }
+
+      // .xml.gz files arrive still compressed, Content-Encoding is undone
+      // by axios already
+      let body = Buffer.from(res.data);
+      if (body[0] === 0x1f && body[1] === 0x8b) {
+        body = zlib.gunzipSync(body);
+        file.compressed = "Yes (gzip)";
+      }
+      file.sizeKB = (body.length / 1024).toFixed(1);
+      if (body.length > MAX_SITEMAP_BYTES) {
+        file.issues.push("Larger than 50MB uncompressed");
+      }
+
+      const parsed = await xml2js.parseStringPromise(body.toString("utf8"));
+      if (parsed.urlset) {
+        file.type = "urlset";
+        const urls = parsed.urlset.url || [];
+        file.urlCount = urls.length;
+        if (urls.length > MAX_SITEMAP_URLS) {
+          file.issues.push(`More than ${MAX_SITEMAP_URLS} URLs`);
+        }
+        let missingLoc = 0;
+        urls.forEach((u) => {
+          const loc = text(u.loc);
+          if (!loc) {
+            missingLoc++;
+            return;
+          }
+          const entry = {
+            url: loc,
+            sitemap: sitemapUrl,
+            lastmod: text(u.lastmod),
+            changefreq: text(u.changefreq),
+            priority: text(u.priority),
+          };
+          entry.issues = validateSitemapEntry(entry, siteHost);
+          entries.push(entry);
+
+          (u["xhtml:link"] || [])
+            .filter((link) => link.$?.rel === "alternate" && link.$.hreflang)
+            .forEach((link) =>
+              alternates.push({
+                url: loc,
+                hreflang: link.$.hreflang.trim(),
+                href: (link.$.href || "").trim(),
+                source: "Sitemap",
+              })
+            );
+        });
+        if (missingLoc > 0) {
+          file.issues.push(`${missingLoc} <url> entries without <loc>`);
+        }
+        if (urls.length === 0) {
+          file.issues.push("Sitemap has no URLs");
+        }
+      } else if (parsed.sitemapindex) {
+        file.type = "sitemapindex";
+        const sitemaps = parsed.sitemapindex.sitemap || [];
+        file.urlCount = sitemaps.length;
+        if (sitemaps.length > MAX_SITEMAP_URLS) {
+          file.issues.push(`More than ${MAX_SITEMAP_URLS} sitemaps in index`);
+        }
+        for (const sm of sitemaps) {
+          const loc = text(sm.loc);
+          if (loc) await visit(loc, `Sitemap index ${sitemapUrl}`);
+        }
+      } else {
+        file.issues.push("Not a <urlset> or <sitemapindex> document");
+      }
+    } catch (err) {
+      file.status = file.status || err.code || "error";
+      file.issues.push(`Could not read sitemap: ${err.message}`);
+    }
+  }
+
+  for (const [url, source] of sources) {
+    await visit(url, source);
+  }
+  return {
+    files: files.map((file) => ({
+      ...file,
+      issues: file.issues.join("; ") || "None",
+    })),
+    entries,
+  };
+}
+
+const VERDICT_ISSUES = {
+  "Non-200 status": "Sitemap URL returns an error",
+  Redirected: "Sitemap URL redirects",
+  "Noindex (meta robots)": "Sitemap URL is noindex",
+  "Noindex (X-Robots-Tag header)": "Sitemap URL is noindex",
+  Canonicalised: "Sitemap URL is canonicalised elsewhere",
+  "Blocked by robots.txt": "Sitemap URL is blocked by robots.txt",
+};
+
+// Per-URL sitemap problems once the crawl is done: invalid fields, URLs
+// that should not be in a sitemap, and indexable pages that are missing.
+// entries use normalized URLs; indexability is the Indexability sheet.
+export function buildSitemapUrlIssues(entries, indexability) {
+  const verdicts = new Map(indexability.map((row) => [row.url, row]));
+  const rows = [];
+
+  entries.forEach((entry) => {
+    entry.issues.forEach((issue) =>
+      rows.push({ url: entry.url, sitemap: entry.sitemap, issue })
+    );
+    const verdict = verdicts.get(entry.url);
+    if (verdict && VERDICT_ISSUES[verdict.indexability]) {
+      rows.push({
+        url: entry.url,
+        sitemap: entry.sitemap,
+        issue: `${VERDICT_ISSUES[verdict.indexability]} (${
+          verdict.reason || verdict.status
+        })`,
+      });
+    }
+  });
+
+  if (entries.length > 0) {
+    const listed = new Set(entries.map((entry) => entry.url));
+    indexability
+      .filter((row) => row.indexable === "Yes" && !listed.has(row.url))
+      .forEach((row) =>
+        rows.push({
+          url: row.url,
+          sitemap: "",
+          issue: "Indexable page missing from sitemap",
+        })
+      );
+  }
+  return rows;
+}
@@ -0,0 +1,146 @@
+// Build an XML sitemap from crawl results. Only indexable 200 pages are
+// listed (canonicalised, noindex and redirected URLs are never indexable),
+// split across several files plus a sitemap index when over the limits.
+
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const MAX_IMAGES_PER_URL = 1000; // Google's limit for image sitemaps
+
+const SITEMAP_NS = "http://www.sitemaps.org/schemas/sitemap/0.9";
+const IMAGE_NS = "http://www.google.com/schemas/sitemap-image/1.1";
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Pages that belong in the sitemap, with lastmod from the Last-Modified
+// header and image URLs from the Image ALT Tags data when requested
+export function collectSitemapPages(
+  results,
+  baseUrl,
+  { images = false, lastmod = true } = {}
+) {
+  const { host } = new URL(baseUrl);
+  const lastModified = new Map(
+    results.responseHeaders.map((row) => [row.url, row.lastModified])
+  );
+  const pageImages = new Map();
+  if (images) {
+    results.imageAlts.forEach(({ page, src }) => {
+      if (!src || src.startsWith("data:")) return;
+      try {
+        const imageUrl = new URL(src, page).href;
+        if (!pageImages.has(page)) pageImages.set(page, new Set());
+        pageImages.get(page).add(imageUrl);
+      } catch {
+        // Unparseable src, leave it out
+      }
+    });
+  }
+
+  const seen = new Set();
+  return results.indexability
+    .filter((row) => row.indexable === "Yes" && row.status === 200)
+    .filter((row) => {
+      if (seen.has(row.url)) return false;
+      seen.add(row.url);
+      try {
+        return new URL(row.url).host === host;
+      } catch {
+        return false;
+      }
+    })
+    .map((row) => {
+      const modified = Date.parse(lastModified.get(row.url) || "");
+      return {
+        url: row.url,
+        lastmod:
+          lastmod && !isNaN(modified) ? new Date(modified).toISOString() : "",
+        images: [...(pageImages.get(row.url) || [])].slice(
+          0,
+          MAX_IMAGES_PER_URL
+        ),
+      };
+    });
+}
+
+function urlEntry({ url, lastmod, images }) {
+  return [
+    "  <url>",
+    `    <loc>${escapeXml(url)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+    ...images.map(
+      (image) =>
+        `    <image:image><image:loc>${escapeXml(
+          image
+        )}</image:loc></image:image>`
+    ),
+    "  </url>",
+  ].join("\n");
+}
+
+function urlset(entries) {
+  const imageNs = entries.some((entry) => entry.includes("<image:image>"))
+    ? ` xmlns:image="${IMAGE_NS}"`
+    : "";
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="${SITEMAP_NS}"${imageNs}>`,
+    ...entries,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+// Returns [{ name, xml }]. A single sitemap.xml when everything fits,
+// otherwise sitemap.xml is an index of sitemap-1.xml, sitemap-2.xml, ...
+// which are expected to be uploaded to the site root next to it.
+export function buildSitemapFiles(pages, baseUrl) {
+  const chunks = [[]];
+  let chunkBytes = 0;
+  pages.forEach((page) => {
+    const entry = urlEntry(page);
+    const bytes = Buffer.byteLength(entry) + 1;
+    const current = chunks[chunks.length - 1];
+    // Leave room for the XML declaration and <urlset> wrapper
+    if (
+      current.length === MAX_URLS_PER_SITEMAP ||
+      chunkBytes + bytes > MAX_SITEMAP_BYTES - 1024
+    ) {
+      chunks.push([]);
+      chunkBytes = 0;
+    }
+    chunks[chunks.length - 1].push(entry);
+    chunkBytes += bytes;
+  });
+
+  if (chunks.length === 1) {
+    return [{ name: "sitemap.xml", xml: urlset(chunks[0]) }];
+  }
+
+  const files = chunks.map((entries, i) => ({
+    name: `sitemap-${i + 1}.xml`,
+    xml: urlset(entries),
+  }));
+  const now = new Date().toISOString();
+  const index = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<sitemapindex xmlns="${SITEMAP_NS}">`,
+    ...files.map((file) =>
+      [
+        "  <sitemap>",
+        `    <loc>${escapeXml(new URL(`/${file.name}`, baseUrl).href)}</loc>`,
+        `    <lastmod>${now}</lastmod>`,
+        "  </sitemap>",
+      ].join("\n")
+    ),
+    "</sitemapindex>",
+    "",
+  ].join("\n");
+  return [{ name: "sitemap.xml", xml: index }, ...files];
+}
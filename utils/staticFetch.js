@@ -0,0 +1,96 @@
+import axios from "axios";
+import * as cheerio from "cheerio";
+
+// Browserless page loading for the "static" and "auto" render modes. Plain
+// server-rendered sites don't need Chromium, and an HTTP request costs a
+// fraction of a page load.
+
+export const RENDER_MODES = ["browser", "static", "auto"];
+
+const MAX_REDIRECTS = 10;
+const MAX_HTML_BYTES = 10 * 1024 * 1024;
+const DESKTOP_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36";
+
+// Below this many words of visible text, a page without links is a shell
+const MIN_STATIC_WORDS = 50;
+// Mount points of common client-side frameworks
+const APP_ROOT_SELECTORS =
+  "#root, #app, #__next, #__nuxt, #___gatsby, app-root";
+
+// Fetch a page with axios, following redirects by hand so they are reported
+// like Puppeteer's redirect chain. Resolves with the same shape as the
+// browser loader in crawler.js.
+export async function fetchStaticPage(url, { timeout, userAgent }) {
+  const redirectHops = [];
+  let current = url;
+  for (;;) {
+    const res = await axios.get(current, {
+      maxRedirects: 0,
+      validateStatus: null,
+      responseType: "text",
+      maxContentLength: MAX_HTML_BYTES,
+      timeout,
+      headers: { "User-Agent": userAgent || DESKTOP_USER_AGENT },
+    });
+    if (res.status >= 300 && res.status < 400 && res.headers.location) {
+      redirectHops.push({ url: current, status: res.status });
+      current = new URL(res.headers.location, current).href;
+      // Same error as Chromium, so the loop is traced and reported the same way
+      if (
+        redirectHops.length > MAX_REDIRECTS ||
+        redirectHops.some((hop) => hop.url === current)
+      ) {
+        throw new Error(`net::ERR_TOO_MANY_REDIRECTS at ${url}`);
+      }
+      continue;
+    }
+
+    const contentType = res.headers["content-type"] || "";
+    // Puppeteer joins repeated headers with newlines
+    const headers = Object.fromEntries(
+      Object.entries(res.headers.toJSON()).map(([name, value]) => [
+        name,
+        Array.isArray(value) ? value.join("\n") : String(value),
+      ])
+    );
+    // axios drops Content-Encoding once it has decompressed the body, the
+    // header audit still needs it
+    const contentEncoding = originalHeader(res, "content-encoding");
+    if (contentEncoding) headers["content-encoding"] = contentEncoding;
+    return {
+      mode: "Static",
+      status: res.status,
+      headers,
+      url: current,
+      redirectHops,
+      // Servers that send no Content-Type usually send HTML
+      html: !contentType || contentType.includes("html") ? res.data : "",
+    };
+  }
+}
+
+// A response header as the server sent it, before axios changed anything
+function originalHeader(res, name) {
+  const raw = res.request?.res?.rawHeaders || [];
+  const values = [];
+  for (let i = 0; i < raw.length; i += 2) {
+    if (raw[i].toLowerCase() === name) values.push(raw[i + 1]);
+  }
+  return values.join("\n");
+}
+
+// True when static HTML needs JavaScript to show any content: scripts plus
+// (almost) no text and no links, or an empty framework mount point
+export function looksLikeAppShell(html) {
+  const $ = cheerio.load(html);
+  // Without scripts there is nothing that could render more content
+  if ($("script").length === 0) return false;
+  const body = $("body").clone();
+  body.find("script, style, noscript, template").remove();
+  const words = (body.text().match(/\S+/g) || []).length;
+  if (words < MIN_STATIC_WORDS && $("a[href]").length === 0) return true;
+  return $(APP_ROOT_SELECTORS)
+    .toArray()
+    .some((el) => $(el).children().length === 0 && !$(el).text().trim());
+}
@@ -0,0 +1,36 @@
+// Include/exclude URL patterns from the crawl options. They come from an
+// unauthenticated request and run against URLs chosen by the crawled site,
+// so they are simple globs rather than regular expressions: "*" matches any
+// run of characters and a pattern may match anywhere in the URL, e.g.
+// "/blog/" or "/products/*/reviews". Matching is a plain wildcard scan,
+// never worse than pattern length times URL length.
+
+export function compileUrlPattern(pattern) {
+  const glob = `*${pattern}*`;
+  return (url) => matchGlob(glob, url);
+}
+
+function matchGlob(glob, text) {
+  let g = 0;
+  let t = 0;
+  // Position after the last "*" and the text position it is matched up to
+  let star = -1;
+  let starText = 0;
+  while (t < text.length) {
+    if (g < glob.length && glob[g] === "*") {
+      star = ++g;
+      starText = t;
+    } else if (g < glob.length && glob[g] === text[t]) {
+      g++;
+      t++;
+    } else if (star !== -1) {
+      // Let the last "*" swallow one more character and retry
+      g = star;
+      t = ++starText;
+    } else {
+      return false;
+    }
+  }
+  while (g < glob.length && glob[g] === "*") g++;
+  return g === glob.length;
+}